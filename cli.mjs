@@ -12,13 +12,36 @@ import Wakeup from 'protomux-wakeup'
 import { createLobby } from './lobby.mjs'
 import { DefaultConfig, paths } from './config/default-config.mjs'
 import { RoomManager } from './rooms/room-manager.mjs'
+import { InviteManager } from './rooms/invite-manager.mjs'
 import { SheetOperations } from './sheets/sheet-operations.mjs'
 import { MainMenu } from './menus/main-menu.mjs'
 import { RoomLobbyMenu } from './menus/room-lobby-menu.mjs'
 import { SchemaMenu } from './menus/schema-menu.mjs'
 import { RowMenu } from './menus/row-menu.mjs'
+import { restoreRoomBackup } from './sheets/room-backup.mjs'
+import { formatBytes } from './utils/display.mjs'
+import { isCommand, parseCommand, printUsage, runCommand } from './commands/index.mjs'
 
 
+const args = process.argv.slice(2)
+
+// Subcommands run without prompts; anything else starts the interactive menus
+const commandMode = isCommand(args)
+let command = null
+if (commandMode) {
+  try {
+    command = parseCommand(args)
+  } catch (error) {
+    console.error(chalk.red(error.message))
+    process.exit(error.exitCode)
+  }
+
+  if (command.help) {
+    printUsage()
+    process.exit(0)
+  }
+}
+
 // Try to load config from file
 let config = { ...DefaultConfig }
 try {
@@ -29,14 +52,15 @@ try {
   }
 } catch (error) {
   // Config file doesn't exist or is invalid, use defaults
-  console.log('Using default config (no config file found)')
+  // stderr, so command results on stdout stay machine readable
+  console.warn('Using default config (no config file found)')
 }
 
 // Ensure storage directory exists
 await makeDirectory(config.storage)
 
 // if there is one argument to the app, lets use that as a storage suffix
-const corestoreSuffix = process.argv[2]
+const corestoreSuffix = commandMode ? command.options.store : args[0]
 
 // Create directory name, sanitizing any bad characters
 let corestoreDirName = 'corestore'
@@ -59,17 +83,18 @@ const blind = new BlindPeering(swarm, store, { wakeup, mirrors: config.DEFAULT_B
 const lobby = createLobby(config.storage)
 
 // Initialize managers
-const roomManager = new RoomManager(lobby, swarm, store, blind, wakeup)
+const roomManager = new RoomManager(lobby, swarm, store, blind, wakeup, { interactive: !commandMode })
+const inviteManager = new InviteManager(swarm, lobby, config.storage)
 const sheetOps = new SheetOperations()
 
 // Initialize menus
-const mainMenu = new MainMenu(roomManager, sheetOps)
-const roomLobbyMenu = new RoomLobbyMenu(roomManager, sheetOps, lobby)
+const mainMenu = new MainMenu(roomManager, sheetOps, inviteManager)
+const roomLobbyMenu = new RoomLobbyMenu(roomManager, sheetOps, lobby, inviteManager)
 const schemaMenu = new SchemaMenu(roomManager, sheetOps)
 const rowMenu = new RowMenu(roomManager, sheetOps)
 
 async function teardown() {
-  await roomManager.closeCurrentSheet()
+  await roomManager.closeAllSheets()
   sheetOps.resetLastJmesQuery()
   await blind.close()
   await swarm.destroy()
@@ -80,13 +105,17 @@ swarm.on('connection', c => {
   c.on('close', function () {})
   store.replicate(c)
   wakeup.addStream(c)
+  inviteManager.attach(c)
 })
 
-process.once('SIGINT', async function () {
-  console.log('shutting down....')
-  await teardown()
-  process.exit()
-})
+// The seed daemon handles its own signals so it can close every room first
+if (!commandMode || !command.daemon) {
+  process.once('SIGINT', async function () {
+    console.warn('shutting down....')
+    await teardown()
+    process.exit()
+  })
+}
 
 
 // Main navigation functions
@@ -111,11 +140,42 @@ async function showMainMenu(sheet) {
         case 'copy-room-link':
           await mainMenu.showCopyRoomLink(sheet)
           break
-        case 'lobby':
+        case 'room-link-qr':
+          await mainMenu.showRoomLinkQr(sheet)
+          return showMainMenu(sheet)
+        case 'network-status':
+          await mainMenu.showNetworkStatus(sheet)
+          return showMainMenu(sheet)
+        case 'members':
+          await mainMenu.showMembers(sheet)
+          return showMainMenu(sheet)
+        case 'invites':
+          await mainMenu.showInvites(sheet)
+          return showMainMenu(sheet)
+        case 'rotate-key':
+          return showMainMenu(await mainMenu.showRotateRoomKey(sheet))
+        case 'backup-room':
+          await mainMenu.showBackupRoom(sheet)
+          return showMainMenu(sheet)
+        case 'switch-room': {
+          const nextSheet = await mainMenu.showSwitchRoom(sheet)
+          if (nextSheet !== sheet) sheetOps.resetLastJmesQuery()
+          return showMainMenu(nextSheet)
+        }
+        case 'copy-to-room':
+          await mainMenu.showCopyToRoom(sheet)
+          return showMainMenu(sheet)
+        case 'close-room':
           await roomManager.closeCurrentSheet()
           sheetOps.resetLastJmesQuery()
           await showRoomLobby()
           break
+        case 'lobby':
+          // The room stays open in the background and can be resumed from the lobby
+          roomManager.parkCurrentRoom()
+          sheetOps.resetLastJmesQuery()
+          await showRoomLobby()
+          break
       }
     }
   } catch (error) {
@@ -197,6 +257,21 @@ async function showRoomLobby() {
     case 'join-room':
       await showJoinRoom()
       break
+    case 'restore-room':
+      await showRestoreRoom()
+      break
+    case 'storage':
+      await roomLobbyMenu.showStorage()
+      return showRoomLobby()
+    case 'trusted-identities':
+      await roomLobbyMenu.showTrustedIdentities()
+      return showRoomLobby()
+    case 'manage-rooms':
+      await roomLobbyMenu.showManageRooms()
+      return showRoomLobby()
+    case 'sort-rooms':
+      await roomLobbyMenu.showSortRooms()
+      return showRoomLobby()
     case 'setup-signing':
       const success = await roomLobbyMenu.showSetupSigning()
       if (success) {
@@ -254,8 +329,8 @@ async function showJoinRoom() {
 
   try {
     const { roomLink, username, petName } = result
+    // Writers are joined by the room manager, read-only links never join
     const { sheet } = await roomManager.joinExistingRoom(roomLink, username, petName)
-    const member = await sheet.join(username)
     
     console.log(chalk.green('✅ Connected to schema sheets'))
     await input({ message: 'Press Enter to continue to room...' })
@@ -268,6 +343,29 @@ async function showJoinRoom() {
   }
 }
 
+async function showRestoreRoom() {
+  const result = await roomLobbyMenu.showRestoreRoom()
+
+  if (!result) {
+    return showRoomLobby()
+  }
+
+  try {
+    const { archive, petName, username } = result
+    const { sheet } = await roomManager.createNewRoom(petName, username)
+
+    const restored = await restoreRoomBackup(sheet, archive, message => console.log(chalk.blue(`🔄 ${message}`)))
+    console.log(chalk.green(`✅ Restored ${restored.schemas} schema(s), ${restored.rows} row(s) and ${restored.attestations} signature(s)`))
+    await input({ message: 'Press Enter to continue to room...' })
+
+    await showMainMenu(sheet)
+  } catch (error) {
+    console.error(chalk.red('Error restoring room:'), error.message)
+    await input({ message: 'Press Enter to continue...' })
+    return showRoomLobby()
+  }
+}
+
 async function joinKnownRoom(room) {
   console.clear()
   console.log(chalk.blue.bold(`🏠 Joining Room: ${room.petName}\n`))
@@ -282,8 +380,29 @@ async function joinKnownRoom(room) {
 
 async function run() {
   await lobby.init()
+
+  const migration = await roomManager.migrateRoomNamespaces().catch(error => {
+    console.warn(chalk.yellow('Warning: Could not clean up old room storage:'), error.message)
+    return null
+  })
+  if (migration && migration.cleared > 0) {
+    console.log(chalk.green(`🧹 Cleared ${migration.cleared} stale core(s) from earlier sessions, ${formatBytes(migration.bytes)} freed`))
+    await input({ message: 'Press Enter to continue...' })
+  }
+  // Answer our outstanding invites for as long as the app is open
+  await inviteManager.serve()
   await showRoomLobby()
 }
 
-run()
+async function runNonInteractive() {
+  const exitCode = await runCommand(command, { lobby, roomManager, sheetOps, swarm, config })
+  await teardown()
+  process.exit(exitCode)
+}
+
+if (commandMode) {
+  runNonInteractive()
+} else {
+  run()
+}
 
@@ -0,0 +1,18 @@
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  INVALID: 4
+}
+
+/**
+ * Error carrying the process exit code a subcommand should finish with
+ */
+export class CommandError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message)
+    this.name = 'CommandError'
+    this.exitCode = exitCode
+  }
+}
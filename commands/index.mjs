@@ -0,0 +1,171 @@
+import { parseArgs } from 'util'
+import chalk from 'chalk'
+import { CommandError, EXIT_CODES } from './errors.mjs'
+import { listRoomsCommand } from './rooms.mjs'
+import { listSchemasCommand, listUISchemasCommand, listQueriesCommand } from './schemas.mjs'
+import { listRowsCommand, addRowCommand } from './rows.mjs'
+import { seedCommand } from './seed.mjs'
+import { OUTPUT_FORMATS } from '../utils/output.mjs'
+
+const COMMANDS = {
+  'rooms list': {
+    run: listRoomsCommand,
+    usage: 'rooms list',
+    description: 'List every room known to this device',
+    positionals: []
+  },
+  'schemas list': {
+    run: listSchemasCommand,
+    usage: 'schemas list <room>',
+    description: 'List the schemas in a room',
+    positionals: ['room']
+  },
+  'uischemas list': {
+    run: listUISchemasCommand,
+    usage: 'uischemas list <room> <schema>',
+    description: 'List the UI schemas attached to a schema',
+    positionals: ['room', 'schema']
+  },
+  'queries list': {
+    run: listQueriesCommand,
+    usage: 'queries list <room> <schema>',
+    description: 'List the saved JMESPath queries for a schema',
+    positionals: ['room', 'schema']
+  },
+  'rows list': {
+    run: listRowsCommand,
+    usage: 'rows list <room> <schema> [--query <jmespath>] [--since <date>] [--until <date>] [--range <preset>] [--archived]',
+    description: 'List rows, optionally filtered by date and JMESPath query',
+    positionals: ['room', 'schema']
+  },
+  'rows add': {
+    run: addRowCommand,
+    usage: 'rows add <room> <schema> --file <path|-> [--sign]',
+    description: 'Validate a JSON row against the schema and append it',
+    positionals: ['room', 'schema']
+  },
+  seed: {
+    run: seedCommand,
+    usage: 'seed [room...] [--log <path>]',
+    description: 'Keep every known room, or the ones named, online until SIGTERM',
+    positionals: [],
+    // Remaining positionals are collected into args.rooms
+    variadic: 'rooms',
+    // Handles SIGTERM / SIGINT itself to close every room before exiting
+    daemon: true
+  }
+}
+
+const OPTIONS = {
+  store: { type: 'string' },
+  file: { type: 'string', short: 'f' },
+  query: { type: 'string', short: 'q' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  range: { type: 'string' },
+  sign: { type: 'boolean' },
+  archived: { type: 'boolean' },
+  wait: { type: 'string' },
+  log: { type: 'string' },
+  output: { type: 'string', short: 'o', default: 'json' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+/**
+ * Check whether the arguments name a subcommand rather than the legacy
+ * corestore suffix that starts the interactive menus
+ */
+export function isCommand(argv) {
+  const [first] = argv
+  if (!first) return false
+  if (first === 'help' || first === '--help' || first === '-h') return true
+  return Object.keys(COMMANDS).some(name => name.split(' ')[0] === first)
+}
+
+/**
+ * Parse subcommand arguments into { name, run, args, options, help }
+ */
+export function parseCommand(argv) {
+  let parsed
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true })
+  } catch (error) {
+    throw new CommandError(error.message, EXIT_CODES.USAGE)
+  }
+
+  const { values, positionals } = parsed
+  if (positionals[0] === 'help' || values.help) {
+    return { help: true }
+  }
+
+  // Most commands are "<noun> <verb>", a few are a single word
+  const twoWordName = positionals.slice(0, 2).join(' ')
+  const name = COMMANDS[twoWordName] ? twoWordName : positionals[0]
+  const command = COMMANDS[name]
+  if (!command) {
+    throw new CommandError(`Unknown command: ${twoWordName}`, EXIT_CODES.USAGE)
+  }
+
+  const rest = positionals.slice(name.split(' ').length)
+  const tooFew = rest.length < command.positionals.length
+  const tooMany = !command.variadic && rest.length > command.positionals.length
+  if (tooFew || tooMany) {
+    throw new CommandError(`Usage: schema-sheets ${command.usage}`, EXIT_CODES.USAGE)
+  }
+
+  if (!OUTPUT_FORMATS.includes(values.output)) {
+    throw new CommandError(`Unknown --output "${values.output}", expected one of: ${OUTPUT_FORMATS.join(', ')}`, EXIT_CODES.USAGE)
+  }
+
+  const args = {}
+  command.positionals.forEach((key, index) => {
+    args[key] = rest[index]
+  })
+  if (command.variadic) {
+    args[command.variadic] = rest.slice(command.positionals.length)
+  }
+
+  return { name, run: command.run, args, options: values, daemon: !!command.daemon, help: false }
+}
+
+export function printUsage() {
+  const lines = [
+    'Usage: schema-sheets [store-suffix]           Start the interactive menus',
+    '       schema-sheets <command> [options]',
+    '',
+    'Commands:'
+  ]
+
+  Object.values(COMMANDS).forEach(command => {
+    lines.push(`  ${command.usage}`)
+    lines.push(`      ${command.description}`)
+  })
+
+  lines.push(
+    '',
+    'Options:',
+    '  -o, --output <fmt> Output format: json (default), ndjson, table, csv',
+    '  --store <suffix>   Use the corestore-<suffix> storage directory',
+    '  --wait <seconds>   Stay connected to peers this long before reading / after writing',
+    '  --log <path>       Seed log file, defaults to seed.log in the app data directory',
+    '  -h, --help         Show this help',
+    '',
+    'Exit codes: 0 ok, 1 error, 2 usage, 3 room/schema not found, 4 validation failed'
+  )
+
+  process.stdout.write(lines.join('\n') + '\n')
+}
+
+/**
+ * Run a parsed command and resolve to its exit code
+ */
+export async function runCommand(command, context) {
+  try {
+    await context.lobby.init()
+    await command.run(context, command.args, command.options)
+    return EXIT_CODES.OK
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`))
+    return error.exitCode || EXIT_CODES.ERROR
+  }
+}
@@ -0,0 +1,6 @@
+import { writeOutput, serializeRoom } from '../utils/output.mjs'
+
+export async function listRoomsCommand({ lobby }, args, options) {
+  const rooms = await lobby.listRooms()
+  writeOutput('room', rooms.map(serializeRoom), options.output)
+}
@@ -0,0 +1,124 @@
+import fs from 'fs'
+import { CommandError, EXIT_CODES } from './errors.mjs'
+import { openRoomAndSchema, waitForPeers, parseWait } from './shared.mjs'
+import { getDateRanges } from '../utils/date-filters.mjs'
+import { loadSigningConfig, createRowAttestation } from '../config/signing-utils.mjs'
+import { writeOutput, serializeRow } from '../utils/output.mjs'
+import { getRowState, filterCurrentRows } from '../sheets/row-history.mjs'
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+function parseDateOption(name, value, endOfDay = false) {
+  const text = endOfDay && DATE_ONLY_PATTERN.test(value) ? `${value}T23:59:59.999Z` : value
+  const time = new Date(text).getTime()
+  if (isNaN(time)) {
+    throw new CommandError(`Invalid --${name} date: ${value}`, EXIT_CODES.USAGE)
+  }
+  return time
+}
+
+/**
+ * Build a sheet.list() filter from --range, --since, --until and --query
+ */
+export function buildListFilter(options) {
+  const filter = {}
+
+  if (options.range) {
+    const range = getDateRanges()[options.range]
+    if (!range) {
+      const presets = Object.keys(getDateRanges()).join(', ')
+      throw new CommandError(`Unknown --range "${options.range}", expected one of: ${presets}`, EXIT_CODES.USAGE)
+    }
+    filter.gte = range.gte
+    filter.lte = range.lte
+  }
+
+  if (options.since) {
+    filter.gte = parseDateOption('since', options.since)
+  }
+  if (options.until) {
+    filter.lte = parseDateOption('until', options.until, true)
+  }
+
+  // sheet.list() expects both bounds when filtering by date
+  if (filter.gte !== undefined || filter.lte !== undefined) {
+    if (filter.gte === undefined) filter.gte = 0
+    if (filter.lte === undefined) filter.lte = Number.MAX_SAFE_INTEGER
+  }
+
+  if (options.query && options.query.trim()) {
+    filter.query = options.query.trim()
+  }
+
+  return filter
+}
+
+function readRowInput(file) {
+  if (!file) {
+    throw new CommandError('Missing --file <path|->', EXIT_CODES.USAGE)
+  }
+
+  let content
+  try {
+    content = fs.readFileSync(file === '-' ? 0 : file, 'utf8')
+  } catch (error) {
+    throw new CommandError(`Could not read ${file}: ${error.message}`, EXIT_CODES.NOT_FOUND)
+  }
+
+  try {
+    return JSON.parse(content)
+  } catch (error) {
+    throw new CommandError(`Invalid JSON in ${file}: ${error.message}`, EXIT_CODES.INVALID)
+  }
+}
+
+export async function listRowsCommand(context, { room, schema: schemaRef }, options) {
+  const filter = buildListFilter(options)
+  const { sheet, schema } = await openRoomAndSchema(context, room, schemaRef, options)
+  const rowState = await getRowState(sheet, schema.schemaId)
+  const rows = filterCurrentRows(await sheet.list(schema.schemaId, filter), rowState, { includeArchived: options.archived })
+
+  const records = []
+  for (const row of rows) {
+    const attestations = await sheet.listRowAttestations(row.uuid)
+    records.push(serializeRow(row, attestations))
+  }
+
+  writeOutput('row', records, options.output)
+}
+
+export async function addRowCommand(context, { room, schema: schemaRef }, options) {
+  const rowData = readRowInput(options.file)
+
+  let signingConfig = null
+  if (options.sign) {
+    signingConfig = loadSigningConfig()
+    if (!signingConfig) {
+      throw new CommandError('Signing is not configured, run setup signing from the lobby first', EXIT_CODES.USAGE)
+    }
+  }
+
+  const { room: roomRecord, sheet, schema } = await openRoomAndSchema(context, room, schemaRef)
+  if (context.roomManager.isReadOnly()) {
+    throw new CommandError(`Room "${roomRecord.petName}" is read-only: it was joined with a read-only link or your access was revoked`, EXIT_CODES.USAGE)
+  }
+
+  const { valid, errors } = context.sheetOps.validateRowData(schema, rowData)
+  if (!valid) {
+    errors.forEach(error => {
+      console.error(`  ${error.instancePath || 'root'}: ${error.message}`)
+    })
+    throw new CommandError('JSON validation failed', EXIT_CODES.INVALID)
+  }
+
+  const rowId = await sheet.addRow(schema.schemaId, rowData)
+
+  if (signingConfig) {
+    const proof = createRowAttestation(rowData, signingConfig)
+    await sheet.addRowAttestation(rowId, proof, signingConfig.keetUsername)
+  }
+
+  await waitForPeers(sheet, parseWait(options.wait))
+
+  writeOutput('addedRow', [{ uuid: rowId, schemaId: schema.schemaId, signed: !!signingConfig }], options.output)
+}
@@ -0,0 +1,21 @@
+import { openRoomAndSchema } from './shared.mjs'
+import { userSchemas } from '../sheets/system-schemas.mjs'
+import { writeOutput, serializeSchema, serializeUISchema, serializeQuery } from '../utils/output.mjs'
+
+export async function listSchemasCommand(context, { room }, options) {
+  const { sheet } = await openRoomAndSchema(context, room, undefined, options)
+  const schemas = userSchemas(await sheet.listSchemas())
+  writeOutput('schema', schemas.map(serializeSchema), options.output)
+}
+
+export async function listUISchemasCommand(context, { room, schema: schemaRef }, options) {
+  const { sheet, schema } = await openRoomAndSchema(context, room, schemaRef, options)
+  const uiSchemas = await sheet.listUISchemas(schema.schemaId)
+  writeOutput('uiSchema', uiSchemas.map(uiSchema => serializeUISchema(uiSchema, schema.schemaId)), options.output)
+}
+
+export async function listQueriesCommand(context, { room, schema: schemaRef }, options) {
+  const { sheet, schema } = await openRoomAndSchema(context, room, schemaRef, options)
+  const queries = await sheet.listQueries(schema.schemaId)
+  writeOutput('query', queries.map(query => serializeQuery(query, schema.schemaId)), options.output)
+}
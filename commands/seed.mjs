@@ -0,0 +1,148 @@
+import fs from 'fs'
+import { join } from 'path'
+import z32 from 'z32'
+import Id from 'hypercore-id-encoding'
+import { CommandError, EXIT_CODES } from './errors.mjs'
+import { resolveRoom } from './shared.mjs'
+import { findKeyRotation } from '../sheets/key-rotation.mjs'
+
+const SHUTDOWN_SIGNALS = ['SIGTERM', 'SIGINT']
+
+/**
+ * Append timestamped lines to the seed log, echoing them to stderr. Rejects
+ * with a CommandError if the log file cannot be opened; if writing fails
+ * later on, the seeder keeps running and only echoes to stderr.
+ */
+async function openSeedLog(filePath) {
+  const stream = fs.createWriteStream(filePath, { flags: 'a' })
+
+  await new Promise((resolve, reject) => {
+    stream.once('open', resolve)
+    stream.once('error', error => {
+      reject(new CommandError(`Could not open seed log ${filePath}: ${error.message}`, EXIT_CODES.USAGE))
+    })
+  })
+
+  let failed = false
+  stream.on('error', error => {
+    if (failed) return
+    failed = true
+    console.error(`Writing to seed log ${filePath} failed, logging to stderr only: ${error.message}`)
+  })
+
+  return {
+    write(message) {
+      const line = `${new Date().toISOString()} ${message}`
+      if (!failed) stream.write(line + '\n')
+      console.error(line)
+    },
+    close() {
+      if (failed) return Promise.resolve()
+      return new Promise(resolve => stream.end(resolve))
+    }
+  }
+}
+
+/**
+ * The seeder never follows a key rotation, it keeps replicating the old
+ * room and logs once that the creator moved it, so someone can open it in
+ * the interactive app and move over
+ */
+function createRotationReporter(room, sheet, log) {
+  let reported = false
+
+  return async () => {
+    if (reported) return
+    try {
+      const found = await findKeyRotation(sheet, z32.decode(room.key))
+      if (!found || reported) return
+      reported = true
+      const rotatedAt = new Date(found.rotation.time).toISOString()
+      const access = found.keys ? 'open it in the interactive app to follow' : 'the new key was not shared with this device'
+      log.write(`room "${room.petName}" key was rotated on ${rotatedAt}, still seeding the old room: ${access}`)
+    } catch (error) {
+      log.write(`room "${room.petName}" failed to check for key rotations: ${error.message}`)
+    }
+  }
+}
+
+function waitForShutdownSignal() {
+  return new Promise(resolve => {
+    const onSignal = signal => {
+      SHUTDOWN_SIGNALS.forEach(name => process.off(name, onSignal))
+      resolve(signal)
+    }
+    SHUTDOWN_SIGNALS.forEach(name => process.on(name, onSignal))
+  })
+}
+
+/**
+ * Keep rooms online without prompts: open every known room, or the ones
+ * named, replicate them until SIGTERM or SIGINT, then close them cleanly
+ */
+export async function seedCommand(context, { rooms: roomRefs }, options) {
+  const { lobby, roomManager, swarm, config } = context
+
+  const rooms = roomRefs.length > 0
+    ? await Promise.all(roomRefs.map(roomRef => resolveRoom(lobby, roomRef)))
+    : await lobby.listRooms()
+
+  if (rooms.length === 0) {
+    throw new CommandError('No rooms to seed, join a room first', EXIT_CODES.NOT_FOUND)
+  }
+
+  const log = await openSeedLog(options.log || join(config.storage, 'seed.log'))
+  const shutdown = waitForShutdownSignal()
+  const sheets = []
+
+  const onConnection = connection => {
+    const peer = Id.encode(connection.remotePublicKey)
+    log.write(`peer connected ${peer} (${swarm.connections.size} peers)`)
+    connection.once('close', () => {
+      log.write(`peer disconnected ${peer} (${swarm.connections.size} peers)`)
+    })
+  }
+  swarm.on('connection', onConnection)
+
+  log.write(`seeding ${rooms.length} room(s)`)
+
+  for (const room of rooms) {
+    try {
+      const sheet = await roomManager.openSheet(z32.decode(room.key), z32.decode(room.encryptionKey))
+      const reportRotation = createRotationReporter(room, sheet, log)
+      const onUpdate = () => {
+        log.write(`room "${room.petName}" updated`)
+        reportRotation()
+      }
+      sheet.base.on('update', onUpdate)
+      sheets.push({ room, sheet, onUpdate })
+      log.write(`room "${room.petName}" open ${room.key}`)
+      await reportRotation()
+    } catch (error) {
+      log.write(`room "${room.petName}" failed to open: ${error.message}`)
+    }
+  }
+
+  if (sheets.length === 0) {
+    await log.close()
+    swarm.off('connection', onConnection)
+    throw new CommandError('None of the rooms could be opened')
+  }
+
+  const signal = await shutdown
+  log.write(`${signal} received, closing ${sheets.length} room(s)`)
+
+  swarm.off('connection', onConnection)
+  for (const { room, sheet, onUpdate } of sheets) {
+    sheet.base.off('update', onUpdate)
+    try {
+      await sheet.close()
+      log.write(`room "${room.petName}" closed`)
+    } catch (error) {
+      log.write(`room "${room.petName}" failed to close: ${error.message}`)
+    }
+  }
+
+  log.write('seeder stopped')
+  await log.close()
+}
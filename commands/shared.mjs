@@ -0,0 +1,79 @@
+import z32 from 'z32'
+import { CommandError, EXIT_CODES } from './errors.mjs'
+import { userSchemas } from '../sheets/system-schemas.mjs'
+
+/**
+ * Find a known room by pet name, z32 key, hex key or unique key prefix
+ */
+export async function resolveRoom(lobby, roomRef) {
+  const rooms = await lobby.listRooms()
+
+  const byKey = rooms.find(room => room.key === roomRef || z32.decode(room.key).toString('hex') === roomRef)
+  if (byKey) return byKey
+
+  const byName = rooms.filter(room => room.petName === roomRef)
+  if (byName.length === 1) return byName[0]
+  if (byName.length > 1) {
+    throw new CommandError(`Room name "${roomRef}" is ambiguous, use the room key instead`, EXIT_CODES.USAGE)
+  }
+
+  const byPrefix = rooms.filter(room => room.key.startsWith(roomRef))
+  if (byPrefix.length === 1) return byPrefix[0]
+
+  throw new CommandError(`Room not found: ${roomRef}`, EXIT_CODES.NOT_FOUND)
+}
+
+/**
+ * Find a schema in an open sheet by name or schema ID
+ */
+export async function resolveSchema(sheet, schemaRef) {
+  const schemas = userSchemas(await sheet.listSchemas())
+
+  const byId = schemas.find(schema => schema.schemaId === schemaRef)
+  if (byId) return byId
+
+  const byName = schemas.filter(schema => schema.name === schemaRef)
+  if (byName.length === 1) return byName[0]
+  if (byName.length > 1) {
+    throw new CommandError(`Schema name "${schemaRef}" is ambiguous, use the schema ID instead`, EXIT_CODES.USAGE)
+  }
+
+  throw new CommandError(`Schema not found: ${schemaRef}`, EXIT_CODES.NOT_FOUND)
+}
+
+/**
+ * Parse the --wait option into milliseconds
+ */
+export function parseWait(wait) {
+  if (wait === undefined) return 0
+  const seconds = Number(wait)
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new CommandError(`Invalid --wait value: ${wait}`, EXIT_CODES.USAGE)
+  }
+  return seconds * 1000
+}
+
+/**
+ * Keep the swarm connection open so peers can replicate with us
+ */
+export async function waitForPeers(sheet, waitMs) {
+  if (!waitMs) return
+  await new Promise(resolve => setTimeout(resolve, waitMs))
+  await sheet.base.update()
+}
+
+/**
+ * Open a known room without any prompts and resolve the requested schema
+ */
+export async function openRoomAndSchema(context, roomRef, schemaRef, options = {}) {
+  const room = await resolveRoom(context.lobby, roomRef)
+  const { sheet } = await context.roomManager.openRoom(room)
+  await waitForPeers(sheet, parseWait(options.wait))
+
+  if (schemaRef === undefined) {
+    return { room, sheet }
+  }
+
+  const schema = await resolveSchema(sheet, schemaRef)
+  return { room, sheet, schema }
+}
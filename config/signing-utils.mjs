@@ -5,6 +5,7 @@ import IdentityKey from 'keet-identity-key'
 import Id from 'hypercore-id-encoding'
 import b4a from 'b4a'
 import sodium from 'sodium-native'
+import { canonicalize } from '../utils/canonical-json.mjs'
 
 const SIGNING_FILE_PATH = join(paths.config, 'signing.json')
 
@@ -65,6 +66,52 @@ export async function createSigningConfig(keetUsername, mnemonic) {
   return loadSigningConfig()
 }
 
+/**
+ * Row signatures cover the canonical JSON of the row, so reordered keys
+ * still verify. Signatures made before that covered JSON.stringify output
+ * and are checked against it as a fallback.
+ */
+export const SIGNATURE_ENCODINGS = {
+  canonical: 'canonical',
+  legacy: 'legacy'
+}
+
+function encodeRowData(rowData, encoding) {
+  return b4a.from(encoding === SIGNATURE_ENCODINGS.legacy ? JSON.stringify(rowData) : canonicalize(rowData))
+}
+
+/**
+ * Create an attestation proof for row data using the stored device keys
+ */
+export function createRowAttestation(rowData, signingConfig) {
+  const message = encodeRowData(rowData, SIGNATURE_ENCODINGS.canonical)
+  const keyPair = { publicKey: signingConfig.devicePublicKey, secretKey: signingConfig.deviceSecretKey }
+  return IdentityKey.attestData(message, keyPair, signingConfig.bootstrapProof)
+}
+
+/**
+ * Verify an attestation against row data, trying the canonical encoding
+ * first and the legacy JSON.stringify encoding second
+ * @returns {Object} { valid, encoding, identityPublicKey } where encoding
+ *   says which one matched, or { valid: false, error } if neither did
+ */
+export function verifyRowAttestation(proof, rowData) {
+  let lastError = null
+
+  for (const encoding of [SIGNATURE_ENCODINGS.canonical, SIGNATURE_ENCODINGS.legacy]) {
+    try {
+      const messageInfo = IdentityKey.verify(proof, encodeRowData(rowData, encoding))
+      if (messageInfo) {
+        return { valid: true, encoding, identityPublicKey: messageInfo.identityPublicKey }
+      }
+    } catch (error) {
+      lastError = error
+    }
+  }
+
+  return { valid: false, error: lastError ? lastError.message : null }
+}
+
 // Generate a device keypair (utility function from the example)
 function generateDeviceKeyPair() {
   const publicKey = b4a.alloc(sodium.crypto_sign_PUBLICKEYBYTES)
@@ -0,0 +1,120 @@
+import fs from 'fs'
+import { join } from 'path'
+import { paths } from './default-config.mjs'
+import Id from 'hypercore-id-encoding'
+
+/**
+ * Local address book of Keet identities. A signature proves which identity
+ * key signed a row, but the keetUsername next to it is whatever the signer
+ * typed. Pinning a key to a name you checked out of band lets signature
+ * views show who really signed, and spot a name claimed by another key.
+ */
+
+const TRUSTED_IDENTITIES_FILE_PATH = join(paths.config, 'trusted-identities.json')
+
+export const TRUST_LEVELS = [
+  { value: 'trusted', name: 'Trusted', description: 'You vouch for this person' },
+  { value: 'known', name: 'Known', description: 'You know who this is, without vouching for them' },
+  { value: 'untrusted', name: 'Untrusted', description: 'You know who this is and do not trust their data' }
+]
+
+function toIdentityId(identity) {
+  return typeof identity === 'string' ? Id.normalize(identity) : Id.encode(identity)
+}
+
+function sameName(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase()
+}
+
+function saveTrustedIdentities(identities) {
+  fs.mkdirSync(paths.config, { recursive: true })
+  fs.writeFileSync(TRUSTED_IDENTITIES_FILE_PATH, JSON.stringify(identities, null, 2))
+}
+
+/**
+ * @returns {Object} Pinned identities keyed by z32 identity key: { name, trustLevel, pinnedAt }
+ */
+export function loadTrustedIdentities() {
+  if (!fs.existsSync(TRUSTED_IDENTITIES_FILE_PATH)) {
+    return {}
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(TRUSTED_IDENTITIES_FILE_PATH, 'utf8'))
+  } catch (error) {
+    console.error('Error loading trusted identities:', error.message)
+    return {}
+  }
+}
+
+/**
+ * @returns {Array} [{ identity, name, trustLevel, pinnedAt }] sorted by name
+ */
+export function listTrustedIdentities() {
+  return Object.entries(loadTrustedIdentities())
+    .map(([identity, entry]) => ({ identity, ...entry }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * @param {Buffer|string} identity - Identity public key, or its z32 encoding
+ * @returns {Object|null} { identity, name, trustLevel, pinnedAt } or null if not pinned
+ */
+export function getTrustedIdentity(identity) {
+  const id = toIdentityId(identity)
+  const entry = loadTrustedIdentities()[id]
+  return entry ? { identity: id, ...entry } : null
+}
+
+/**
+ * Pin an identity key to a name, replacing an earlier pin of the same key
+ */
+export function pinIdentity(identity, { name, trustLevel = 'trusted' }) {
+  if (!TRUST_LEVELS.some(level => level.value === trustLevel)) {
+    throw new Error(`Unknown trust level: ${trustLevel}`)
+  }
+
+  const id = toIdentityId(identity)
+  const identities = loadTrustedIdentities()
+  identities[id] = { name: name.trim(), trustLevel, pinnedAt: new Date().toISOString() }
+  saveTrustedIdentities(identities)
+  return { identity: id, ...identities[id] }
+}
+
+export function unpinIdentity(identity) {
+  const id = toIdentityId(identity)
+  const identities = loadTrustedIdentities()
+  if (!identities[id]) return false
+
+  delete identities[id]
+  saveTrustedIdentities(identities)
+  return true
+}
+
+/**
+ * Compare a verified signer with the address book
+ * @param {Buffer|string} identity - Identity key the signature proved
+ * @param {string|null} keetUsername - Username the signer declared
+ * @param {Object} identities - Result of loadTrustedIdentities(), to avoid rereading it per signature
+ * @returns {Object} { pinned, nameMismatch, impersonates } where pinned is the entry of this key,
+ *   nameMismatch is true when the declared name differs from it and impersonates lists other
+ *   pinned identities whose name the signer declared
+ */
+export function checkSigner(identity, keetUsername, identities = loadTrustedIdentities()) {
+  const id = toIdentityId(identity)
+  const pinned = identities[id] ? { identity: id, ...identities[id] } : null
+
+  if (!keetUsername) {
+    return { pinned, nameMismatch: false, impersonates: [] }
+  }
+
+  const impersonates = Object.entries(identities)
+    .filter(([other, entry]) => other !== id && sameName(entry.name, keetUsername))
+    .map(([other, entry]) => ({ identity: other, ...entry }))
+
+  return {
+    pinned,
+    nameMismatch: pinned !== null && !sameName(pinned.name, keetUsername),
+    impersonates
+  }
+}
@@ -1,13 +1,111 @@
 import fs from 'fs'
 import { join } from 'path'
 import z32 from 'z32'
+import b4a from 'b4a'
 import crypto from 'hypercore-crypto'
 import { makeDirectory } from 'make-dir'
+import { createRoomAuthority } from './sheets/room-authority.mjs'
+
+/**
+ * Room links are z32 encoded. Legacy links are the room key followed by the
+ * encryption key and always grant write access. Versioned links start with a
+ * version byte and a role byte so read-only links can be told apart.
+ */
+export const ROOM_LINK_VERSION = 1
+export const ROOM_ROLES = ['writer', 'viewer']
+
+const KEY_LENGTH = 32
+const LEGACY_LINK_LENGTH = KEY_LENGTH * 2
+const VERSIONED_LINK_LENGTH = 2 + KEY_LENGTH * 2
+
+/**
+ * Decode a room link of any supported version
+ * @param {string} roomLink - z32 encoded room link
+ * @returns {Object} { key, encryptionKey, role, version } where version 0 is a legacy link
+ */
+export function parseRoomLink(roomLink) {
+  let decoded
+  try {
+    decoded = z32.decode(roomLink.trim())
+  } catch (error) {
+    throw new Error('Invalid room link format')
+  }
+
+  if (decoded.length === LEGACY_LINK_LENGTH) {
+    return {
+      key: decoded.subarray(0, KEY_LENGTH),
+      encryptionKey: decoded.subarray(KEY_LENGTH),
+      role: 'writer',
+      version: 0
+    }
+  }
+
+  if (decoded.length === VERSIONED_LINK_LENGTH) {
+    const version = decoded[0]
+    const role = ROOM_ROLES[decoded[1]]
+    if (version > ROOM_LINK_VERSION) {
+      throw new Error(`Room link version ${version} is newer than this app supports, please upgrade`)
+    }
+    if (!role) {
+      throw new Error('Room link has an unknown access type')
+    }
+
+    return {
+      key: decoded.subarray(2, 2 + KEY_LENGTH),
+      encryptionKey: decoded.subarray(2 + KEY_LENGTH),
+      role,
+      version
+    }
+  }
+
+  throw new Error('Invalid room link format')
+}
+
+/**
+ * Legacy room records have no role, they were always joined as writers
+ */
+export function getRoomRole(room) {
+  return room && room.role === 'viewer' ? 'viewer' : 'writer'
+}
+
+export const ROOM_SORT_OPTIONS = [
+  { name: 'Newest first', value: 'created' },
+  { name: 'Last opened', value: 'opened' },
+  { name: 'Name', value: 'name' },
+  { name: 'Unread activity', value: 'activity' }
+]
+
+/**
+ * A room has unread activity when peers added data while it was not the
+ * room being looked at
+ */
+export function hasUnreadActivity(room) {
+  return !!room.lastActivityAt && room.lastActivityAt > (room.lastOpenedAt || 0)
+}
+
+/**
+ * Order rooms for the lobby, pinned rooms always first
+ * @param {Array} rooms - Room records
+ * @param {string} sortBy - Value of one of ROOM_SORT_OPTIONS
+ */
+export function sortRooms(rooms, sortBy = 'created') {
+  const compare = {
+    created: (a, b) => b.createdAt - a.createdAt,
+    opened: (a, b) => (b.lastOpenedAt || 0) - (a.lastOpenedAt || 0),
+    name: (a, b) => a.petName.localeCompare(b.petName),
+    activity: (a, b) => hasUnreadActivity(b) - hasUnreadActivity(a) || (b.lastActivityAt || 0) - (a.lastActivityAt || 0)
+  }[sortBy] || ((a, b) => b.createdAt - a.createdAt)
+
+  return [...rooms].sort((a, b) => !!b.pinned - !!a.pinned || compare(a, b))
+}
 
 export class RoomLobby {
   constructor(storagePath) {
     this.storagePath = storagePath
     this.roomsPath = join(storagePath, 'rooms')
+    this.deletedRoomsPath = join(this.roomsPath, 'deleted')
+    this.namespaceMigrationsFile = join(storagePath, 'namespace-migrations.json')
+    this.settingsFile = join(storagePath, 'lobby.json')
   }
 
   async init() {
@@ -22,16 +120,20 @@ export class RoomLobby {
    * @returns {Object} Room data with key, encryptionKey, etc.
    */
   async createRoom(petName, username) {
-    const key = crypto.randomBytes(32)
+    // The room key is the authority public key, so members can check the creator's signatures
+    const authority = createRoomAuthority()
+    const key = authority.publicKey
     const encryptionKey = crypto.randomBytes(32)
     
     const room = {
       key: z32.encode(key),
       encryptionKey: z32.encode(encryptionKey),
+      authorityKey: b4a.toString(authority.secretKey, 'hex'),
       createdAt: Date.now(),
       petName,
       username,
-      isCreator: true
+      isCreator: true,
+      role: 'writer'
     }
 
     await this.saveRoom(room)
@@ -51,19 +153,22 @@ export class RoomLobby {
    */
   async joinRoom(roomLink, username, petName) {
     try {
-      // Decode the room link to get key and encryption key
-      const decoded = z32.decode(roomLink)
-      const key = decoded.subarray(0, 32)
-      const encryptionKey = decoded.subarray(32)
+      // Decode the room link to get key, encryption key and access role
+      const { key, encryptionKey, role } = parseRoomLink(roomLink)
       const keyHex = key.toString('hex')
 
       // Check if we already know this room
       const knownRoom = await this.getRoomByKey(keyHex)
       
       if (knownRoom) {
+        // A writer link upgrades a viewer, a read-only link never downgrades a writer
+        const knownRole = getRoomRole(knownRoom)
+        const upgraded = knownRole === 'viewer' && role === 'writer'
+
         // Update username if different
-        if (knownRoom.username !== username) {
+        if (knownRoom.username !== username || upgraded) {
           knownRoom.username = username
+          knownRoom.role = upgraded ? 'writer' : knownRole
           await this.saveRoom(knownRoom)
         }
         return {
@@ -80,7 +185,8 @@ export class RoomLobby {
         createdAt: Date.now(),
         petName: petName || `Room ${keyHex.substring(0, 8)}...`, // Default name
         username,
-        isCreator: false
+        isCreator: false,
+        role
       }
 
       await this.saveRoom(room)
@@ -98,18 +204,26 @@ export class RoomLobby {
    * Generate a room link from key and encryptionKey buffers
    * @param {Buffer} key - Room key buffer
    * @param {Buffer} encryptionKey - Room encryption key buffer
+   * @param {string} role - 'writer' for full access, 'viewer' for a read-only link
    * @returns {string} z32 encoded room link
    */
-  generateRoomLink(key, encryptionKey) {
-    const combined = Buffer.concat([key, encryptionKey])
+  generateRoomLink(key, encryptionKey, role = 'writer') {
+    const roleIndex = ROOM_ROLES.indexOf(role)
+    if (roleIndex === -1) {
+      throw new Error(`Unknown room role: ${role}`)
+    }
+
+    const header = Buffer.from([ROOM_LINK_VERSION, roleIndex])
+    const combined = Buffer.concat([header, key, encryptionKey])
     return z32.encode(combined)
   }
 
   /**
-   * Get all known rooms
+   * Get all known rooms, leaving out records replaced by a key rotation
+   * @param {Object} options - { includeRotated } to keep the replaced records too
    * @returns {Array} Array of room objects
    */
-  async listRooms() {
+  async listRooms({ includeRotated = false } = {}) {
     try {
       const files = fs.readdirSync(this.roomsPath)
       const rooms = []
@@ -125,8 +239,8 @@ export class RoomLobby {
         }
       }
 
-      // Sort by creation date, newest first
-      return rooms.sort((a, b) => b.createdAt - a.createdAt)
+      // Rooms whose key was rotated live on under their new key
+      return rooms.filter(room => includeRotated || !room.rotatedTo).sort((a, b) => b.createdAt - a.createdAt)
     } catch (error) {
       if (error.code === 'ENOENT') {
         return [] // Directory doesn't exist yet
@@ -169,22 +283,108 @@ export class RoomLobby {
   }
 
   /**
-   * Delete a room by key
+   * Move a room record to the room its key was rotated into. The old record
+   * is kept, pointing at the new key, so the rotation is only followed once.
+   * @param {string} keyHex - Old room key in hex format
+   * @param {Object} keys - { key, encryptionKey } buffers of the new room
+   * @param {Object} options - { authorityKey } secret key of the new room's authority, for the creator
+   * @returns {Object} New room data
+   */
+  async recordKeyRotation(keyHex, { key, encryptionKey }, { authorityKey = null } = {}) {
+    const oldRoom = await this.getRoomByKey(keyHex)
+    if (!oldRoom) {
+      throw new Error('Room not found')
+    }
+
+    // Following the same rotation again keeps the newer record as it is
+    const known = await this.getRoomByKey(b4a.toString(key, 'hex'))
+    if (known) {
+      if (!oldRoom.rotatedTo) {
+        await this.saveRoom({ ...oldRoom, rotatedTo: known.key, keyRotatedAt: known.keyRotatedAt || Date.now() })
+      }
+      return {
+        ...known,
+        keyBuffer: key,
+        encryptionKeyBuffer: encryptionKey
+      }
+    }
+
+    const rotatedAt = Date.now()
+    const room = {
+      ...oldRoom,
+      key: z32.encode(key),
+      encryptionKey: z32.encode(encryptionKey),
+      rotatedFrom: oldRoom.key,
+      keyRotatedAt: rotatedAt
+    }
+    delete room.rotatedTo
+    // The new room gets its own storage namespace the first time it is opened
+    delete room.namespaces
+    // and its own authority, which only the creator holds
+    delete room.authorityKey
+    if (authorityKey) room.authorityKey = b4a.toString(authorityKey, 'hex')
+
+    await this.saveRoom(room)
+    await this.saveRoom({ ...oldRoom, rotatedTo: room.key, keyRotatedAt: rotatedAt })
+
+    return {
+      ...room,
+      keyBuffer: key,
+      encryptionKeyBuffer: encryptionKey
+    }
+  }
+
+  /**
+   * Delete a room by key. The record moves to `rooms/deleted/` so the
+   * room's local data can still be found and purged from the storage screen.
    * @param {string} keyHex - Room key in hex format
    */
   async deleteRoom(keyHex) {
     try {
-      const roomFile = join(this.roomsPath, `${keyHex}.json`)
-      if (fs.existsSync(roomFile)) {
-        fs.unlinkSync(roomFile)
-        return true
-      }
-      return false
+      const room = await this.getRoomByKey(keyHex)
+      if (!room) return false
+
+      await makeDirectory(this.deletedRoomsPath)
+      fs.writeFileSync(join(this.deletedRoomsPath, `${keyHex}.json`), JSON.stringify({ ...room, deletedAt: Date.now() }, null, 2))
+      fs.unlinkSync(join(this.roomsPath, `${keyHex}.json`))
+      return true
     } catch (error) {
       throw new Error(`Failed to delete room: ${error.message}`)
     }
   }
 
+  /**
+   * Deleted rooms whose local data has not been purged yet
+   * @returns {Array} Array of room objects with deletedAt
+   */
+  async listDeletedRooms() {
+    if (!fs.existsSync(this.deletedRoomsPath)) return []
+
+    return fs.readdirSync(this.deletedRoomsPath)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        try {
+          return JSON.parse(fs.readFileSync(join(this.deletedRoomsPath, file), 'utf8'))
+        } catch (error) {
+          console.warn(`Failed to load deleted room file ${file}:`, error.message)
+          return null
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.deletedAt - a.deletedAt)
+  }
+
+  /**
+   * Drop a deleted room's record for good, once its data is purged
+   * @param {string} keyHex - Room key in hex format
+   */
+  async forgetDeletedRoom(keyHex) {
+    const roomFile = join(this.deletedRoomsPath, `${keyHex}.json`)
+    if (fs.existsSync(roomFile)) {
+      fs.unlinkSync(roomFile)
+    }
+  }
+
   /**
    * Update room metadata (petName, username, etc.)
    * @param {string} keyHex - Room key in hex format
@@ -200,6 +400,59 @@ export class RoomLobby {
     await this.saveRoom(updatedRoom)
     return updatedRoom
   }
+
+  /**
+   * Lobby preferences such as the room sort order
+   */
+  getSettings() {
+    try {
+      return { sortBy: 'created', ...JSON.parse(fs.readFileSync(this.settingsFile, 'utf8')) }
+    } catch (error) {
+      return { sortBy: 'created' }
+    }
+  }
+
+  updateSettings(updates) {
+    const settings = { ...this.getSettings(), ...updates }
+    fs.writeFileSync(this.settingsFile, JSON.stringify(settings, null, 2))
+    return settings
+  }
+
+  /**
+   * Remember the corestore namespace a room opens in on one store
+   * @param {string} keyHex - Room key in hex format
+   * @param {string} storeId - Store the namespace belongs to, see getStoreId()
+   * @param {string} namespaceHex - Namespace name in hex format
+   */
+  async recordRoomNamespace(keyHex, storeId, namespaceHex) {
+    const room = await this.getRoomByKey(keyHex)
+    if (!room) {
+      throw new Error('Room not found')
+    }
+
+    return this.updateRoom(keyHex, { namespaces: { ...room.namespaces, [storeId]: namespaceHex } })
+  }
+
+  /**
+   * Result of the one-off namespace migration of a store, or null if it has not run
+   */
+  getNamespaceMigration(storeId) {
+    try {
+      return JSON.parse(fs.readFileSync(this.namespaceMigrationsFile, 'utf8'))[storeId] || null
+    } catch (error) {
+      return null
+    }
+  }
+
+  recordNamespaceMigration(storeId, result) {
+    let migrations = {}
+    try {
+      migrations = JSON.parse(fs.readFileSync(this.namespaceMigrationsFile, 'utf8'))
+    } catch (error) {}
+
+    migrations[storeId] = result
+    fs.writeFileSync(this.namespaceMigrationsFile, JSON.stringify(migrations, null, 2))
+  }
 }
 
 // Export a default instance factory
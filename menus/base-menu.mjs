@@ -1,5 +1,6 @@
 import { select, input, confirm } from '@inquirer/prompts'
 import chalk from 'chalk'
+import { TRUST_LEVELS, getTrustedIdentity, pinIdentity } from '../config/trusted-identities.mjs'
 
 export class BaseMenu {
   constructor(roomManager, sheetOps) {
@@ -9,10 +10,17 @@ export class BaseMenu {
 
   async showMenu(title, choices, message = 'Select an option:') {
     console.clear()
-    console.log(chalk.blue.bold(title))
+    const peerCount = this.roomManager.getPeerCount()
+    const peerBadge = peerCount > 0 ? chalk.green(`● ${peerCount} peer${peerCount === 1 ? '' : 's'}`) : chalk.yellow('○ offline')
+    console.log(`${chalk.blue.bold(title)}  ${peerBadge}`)
     if (this.roomManager.getCurrentRoomName()) {
       console.log(chalk.cyan(`Room: ${this.roomManager.getCurrentRoomName()}`))
     }
+    const openRooms = this.roomManager.listOpenRooms()
+    if (openRooms.length > 1 || (openRooms.length === 1 && !openRooms[0].current)) {
+      const names = openRooms.map(room => room.current ? chalk.cyan.bold(`[${room.name}]`) : chalk.gray(room.name))
+      console.log(`${chalk.gray('Open rooms:')} ${names.join(chalk.gray(' · '))}`)
+    }
     console.log('')
 
     return await select({
@@ -36,6 +44,71 @@ export class BaseMenu {
     })
   }
 
+  /**
+   * Other open rooms that rows and schemas can be copied into
+   */
+  getCopyTargets() {
+    return this.roomManager.listOpenRooms().filter(room => !room.current && !room.readOnly)
+  }
+
+  /**
+   * Pick an open room to copy into
+   * @returns {Object|null} The room from roomManager.listOpenRooms(), or null if there is none or the user cancelled
+   */
+  async selectCopyTarget(message = 'Copy to which room?') {
+    const targets = this.getCopyTargets()
+    if (targets.length === 0) {
+      console.log(chalk.yellow('Open another room you can write to first, rooms stay open when you go back to the lobby'))
+      return null
+    }
+
+    const roomKey = await select({
+      message,
+      choices: [
+        ...targets.map(room => ({ name: `🏠 ${room.name}`, value: room.key })),
+        { name: chalk.cyan('← Cancel'), value: 'cancel' }
+      ]
+    })
+
+    return targets.find(room => room.key === roomKey) || null
+  }
+
+  /**
+   * Name and trust level of a pinned identity, coloured by trust level
+   */
+  formatPinnedName(pinned) {
+    const level = TRUST_LEVELS.find(option => option.value === pinned.trustLevel)
+    const label = `${pinned.name} (${level ? level.name.toLowerCase() : pinned.trustLevel})`
+    if (pinned.trustLevel === 'trusted') return chalk.green(label)
+    if (pinned.trustLevel === 'untrusted') return chalk.red(label)
+    return chalk.cyan(label)
+  }
+
+  /**
+   * Ask for a name and trust level and pin the identity to them
+   * @param {string} identity - z32 identity key
+   * @param {string} suggestedName - Default name when the identity is not pinned yet
+   * @returns {Object} The pinned entry
+   */
+  async promptPinIdentity(identity, suggestedName = '') {
+    const current = getTrustedIdentity(identity)
+    console.log(chalk.yellow('Only pin a key to a name after checking it with that person, e.g. in a Keet call'))
+
+    const name = await input({
+      message: 'Name for this identity:',
+      default: current ? current.name : suggestedName,
+      validate: (value) => value.trim() ? true : 'Name is required'
+    })
+
+    const trustLevel = await select({
+      message: 'Trust level:',
+      choices: TRUST_LEVELS.map(level => ({ name: level.name, value: level.value, description: level.description })),
+      default: current ? current.trustLevel : 'trusted'
+    })
+
+    return pinIdentity(identity, { name, trustLevel })
+  }
+
   async waitForContinue() {
     await input({ message: 'Press Enter to continue...' })
   }
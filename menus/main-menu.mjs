@@ -1,14 +1,33 @@
 import chalk from 'chalk'
 import z32 from 'z32'
+import { select, checkbox } from '@inquirer/prompts'
+import Table from 'cli-table3'
 import { BaseMenu } from './base-menu.mjs'
+import { join } from 'path'
+import { userSchemas } from '../sheets/system-schemas.mjs'
+import { parseRoomLink } from '../lobby.mjs'
+import { listMembers, revokeMember, readmitMember, getLocalWriterKey, getWriterLength, updateWriterActivity } from '../sheets/members.mjs'
+import { getInviteStatus, INVITE_EXPIRY_OPTIONS } from '../rooms/invite-manager.mjs'
+import { createRoomBackup, summarizeBackup, writeBackupFile, getBackupFileName } from '../sheets/room-backup.mjs'
+import { copySchemaToRoom, copyRowsToRoom, listLiveRows } from '../sheets/room-copy.mjs'
+import { selectDirectory } from '../utils/file-helpers.mjs'
+import { getExportFileName } from '../utils/export.mjs'
+import { renderQrCode, saveQrCode } from '../utils/qr-code.mjs'
+import { getPeers, getBlindPeerStatus, getWriterSyncStatus, isFullySynced } from '../utils/network-status.mjs'
 
 export class MainMenu extends BaseMenu {
+  constructor(roomManager, sheetOps, inviteManager) {
+    super(roomManager, sheetOps)
+    this.inviteManager = inviteManager
+  }
+
   async show(sheet) {
-    const title = `📊 Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}`
+    const readOnly = this.roomManager.isReadOnly()
+    const title = `📊 Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}${readOnly ? ' (👁️ read-only)' : ''}`
     console.log(chalk.cyan('Navigate with arrow keys, select with Enter\n'))
 
     try {
-      const schemas = await sheet.listSchemas()
+      const schemas = userSchemas(await sheet.listSchemas())
       
       const choices = []
       
@@ -29,16 +48,20 @@ export class MainMenu extends BaseMenu {
           disabled: ''
         })
       } else {
-        console.log(chalk.yellow('No schemas found. Add one first!\n'))
+        console.log(chalk.yellow(readOnly ? 'No schemas found yet, they will appear once the room syncs.\n' : 'No schemas found. Add one first!\n'))
       }
 
-      // Add action items
-      choices.push(
-        {
+      // Viewers joined with a read-only link cannot append to the room
+      if (!readOnly) {
+        choices.push({
           name: '➕ Add Schema',
           value: 'add-schema', 
           description: 'Create a new schema from file'
-        },
+        })
+      }
+
+      // Add action items
+      choices.push(
         {
           name: '🏷️  Change Room Name',
           value: 'change-room-name',
@@ -49,13 +72,66 @@ export class MainMenu extends BaseMenu {
           value: 'copy-room-link',
           description: 'Copy room invite link to clipboard'
         },
+        {
+          name: '📱 Show Room Link as QR',
+          value: 'room-link-qr',
+          description: 'Show the room link as a QR code to scan, or save it as an image'
+        },
+        {
+          name: '🌐 Network Status',
+          value: 'network-status',
+          description: 'See connected peers, blind peers and sync progress'
+        },
+        {
+          name: '👥 Members',
+          value: 'members',
+          description: 'See who can write to this room'
+        },
+        {
+          name: '💾 Backup Room',
+          value: 'backup-room',
+          description: 'Save every schema, row and signature to a backup file'
+        },
+        {
+          name: '❌ Close Room',
+          value: 'close-room',
+          description: 'Stop replicating this room and return to room selection'
+        },
         {
           name: '🏠 Back to Room Lobby',
           value: 'lobby',
-          description: 'Return to room selection'
+          description: 'Return to room selection, this room stays open in the background'
         }
       )
 
+      if (schemas.length > 0 && this.getCopyTargets().length > 0) {
+        choices.splice(choices.length - 2, 0, {
+          name: '📤 Copy to Another Room',
+          value: 'copy-to-room',
+          description: 'Copy schemas, and optionally their rows, into another open room'
+        })
+      }
+
+      if (this.roomManager.listOpenRooms().length > 1) {
+        choices.splice(choices.length - 2, 0, {
+          name: '🔀 Switch Room',
+          value: 'switch-room',
+          description: 'Go to another open room'
+        })
+      }
+
+      if (this.roomManager.isCurrentRoomCreator() && !readOnly) {
+        choices.splice(choices.length - 2, 0, {
+          name: '🎟️  Invitations',
+          value: 'invites',
+          description: 'Share invites that expire or work once instead of the room link'
+        }, {
+          name: '🔑 Rotate Room Key',
+          value: 'rotate-key',
+          description: 'Move the room to a new key so old links stop working for new data'
+        })
+      }
+
       const choice = await this.showMenu(title, choices, 'Select a schema to manage or choose an action:')
 
       if (choice === 'separator') {
@@ -94,6 +170,389 @@ export class MainMenu extends BaseMenu {
     }
   }
 
+  /**
+   * @returns {Object} The sheet of the room to continue in
+   */
+  async showSwitchRoom(sheet) {
+    const others = this.roomManager.listOpenRooms().filter(room => !room.current)
+    const roomKey = await select({
+      message: 'Switch to which room?',
+      choices: [
+        ...others.map(room => ({
+          name: `🏠 ${room.name}${room.readOnly ? ' (👁️ read-only)' : ''}`,
+          value: room.key
+        })),
+        { name: chalk.cyan('← Back to Room Menu'), value: 'back' }
+      ]
+    })
+
+    if (roomKey === 'back') return sheet
+    return this.roomManager.switchToRoom(roomKey)
+  }
+
+  async showCopyToRoom(sheet) {
+    console.clear()
+    console.log(chalk.blue.bold(`📤 Copy to Another Room - From: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+
+    const schemas = userSchemas(await sheet.listSchemas())
+    const selected = await checkbox({
+      message: 'Select the schemas to copy:',
+      choices: schemas.map(schema => ({ name: schema.name, value: schema })),
+      validate: (chosen) => chosen.length > 0 || 'Choose at least one schema'
+    })
+
+    const target = await this.selectCopyTarget()
+    if (!target) {
+      await this.waitForContinue()
+      return
+    }
+
+    const includeRows = await this.getConfirmation('Copy the rows and their signatures too?', true)
+
+    for (const schema of selected) {
+      try {
+        const copied = await copySchemaToRoom(sheet, target.sheet, schema)
+        const extras = `${copied.uiSchemas} UI schema(s), ${copied.queries} quer${copied.queries === 1 ? 'y' : 'ies'}`
+        console.log(chalk.green(`✅ ${schema.name}: ${copied.created ? 'schema created' : 'schema already there'}, ${extras} added`))
+
+        if (includeRows) {
+          const rows = await listLiveRows(sheet, schema)
+          const result = await copyRowsToRoom(sheet, target.sheet, copied.schema, rows, (targetSchema, json) => this.sheetOps.validateRowData(targetSchema, json))
+          console.log(chalk.green(`   ${result.copied} row(s) and ${result.attestations} signature(s) copied`))
+          result.invalid.forEach(({ uuid, errors }) => {
+            console.log(chalk.yellow(`   Skipped ${uuid}: ${errors.map(error => `${error.instancePath || '/'} ${error.message}`).join(', ')}`))
+          })
+        }
+      } catch (error) {
+        console.error(chalk.red(`❌ ${schema.name}:`), error.message)
+      }
+    }
+
+    console.log(chalk.cyan(`\nCopied into "${target.name}"`))
+    await this.waitForContinue()
+  }
+
+  async showBackupRoom(sheet) {
+    console.clear()
+    console.log(chalk.blue.bold(`💾 Backup Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+
+    try {
+      const directory = await selectDirectory('Select a directory for the backup:')
+      const roomLink = this.roomManager.getCurrentRoomLink()
+      const petName = this.roomManager.getCurrentRoomName()
+
+      console.log(chalk.blue('\n🔄 Reading room data...'))
+      const archive = await createRoomBackup(sheet, {
+        petName,
+        key: roomLink ? z32.encode(parseRoomLink(roomLink).key) : null
+      })
+
+      const filePath = join(directory, getBackupFileName(petName))
+      writeBackupFile(filePath, archive)
+
+      const summary = summarizeBackup(archive)
+      console.log(chalk.green(`✅ Backup written to ${filePath}`))
+      console.log(chalk.cyan(`   ${summary.schemas} schema(s), ${summary.uiSchemas} UI schema(s), ${summary.queries} quer${summary.queries === 1 ? 'y' : 'ies'}, ${summary.rows} row(s), ${summary.attestations} signature(s)`))
+    } catch (error) {
+      console.error(chalk.red('Error backing up room:'), error.message)
+    }
+
+    await this.waitForContinue()
+  }
+
+  /**
+   * @returns {Object} The sheet to continue with, the new room after a successful rotation
+   */
+  async showRotateRoomKey(sheet) {
+    console.clear()
+    console.log(chalk.blue.bold(`🔑 Rotate Room Key: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+    console.log(chalk.cyan('Every schema, row and signature is copied into the room under a new key.'))
+    console.log(chalk.cyan('Members who are not revoked get the new key the next time they open the room.'))
+    console.log(chalk.cyan('Old links, including read-only links, stop receiving new data.'))
+    console.log(chalk.yellow('⚠️  Copied rows get new IDs and the rotation time as their creation time. Date filters, aggregates,'))
+    console.log(chalk.yellow('   charts and signature reports in the new room see every row as created now. Filter on a date'))
+    console.log(chalk.yellow('   property of your schema, or keep the old room, if you need the original times.\n'))
+
+    const confirmed = await this.getConfirmation('Rotate the room key now, resetting every row\'s creation time?')
+    if (!confirmed) return sheet
+
+    try {
+      const result = await this.roomManager.rotateCurrentRoomKey(message => console.log(chalk.blue(`🔄 ${message}`)))
+
+      console.log(chalk.green(`\n✅ Room key rotated, ${result.restored.rows} row(s) migrated`))
+      console.log(chalk.cyan(`   New key shared with ${result.granted} writer(s)${result.revoked > 0 ? `, ${result.revoked} revoked member(s) left out` : ''}`))
+      console.log(chalk.blue(`Room Link: ${this.roomManager.getCurrentRoomLinkFor('writer')}`))
+      console.log(chalk.blue(`Read-only Link: ${this.roomManager.getCurrentRoomLinkFor('viewer')}`))
+      if (result.signed) {
+        console.log(chalk.yellow('Viewers need the new read-only link. Stay in the room for a while so online members pick up the new key.'))
+      } else {
+        console.log(chalk.yellow('This room had no creator key to sign the rotation with, so members will not follow it. Send everyone the new links.'))
+      }
+
+      await this.waitForContinue()
+      return result.sheet
+    } catch (error) {
+      console.error(chalk.red('Error rotating room key:'), error.message)
+      await this.waitForContinue()
+      return sheet
+    }
+  }
+
+  async showNetworkStatus(sheet) {
+    while (true) {
+      console.clear()
+      console.log(chalk.blue.bold(`🌐 Network Status - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+      console.log(chalk.cyan('Checking peers...\n'))
+
+      try {
+        const swarm = this.roomManager.getSwarm()
+        const peers = getPeers(swarm)
+        const localWriterKey = getLocalWriterKey(sheet)
+        const writerKeys = [...new Set([localWriterKey, ...(await listMembers(sheet)).map(member => member.writerKey)])]
+        const [blindPeers, writers] = await Promise.all([
+          getBlindPeerStatus(this.roomManager.getBlindPeering(), swarm),
+          getWriterSyncStatus(this.roomManager.getCurrentStore(), writerKeys)
+        ])
+
+        console.clear()
+        console.log(chalk.blue.bold(`🌐 Network Status - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+
+        console.log(chalk.bold(`Connected peers: ${peers.length}`))
+        peers.forEach(peer => {
+          console.log(`  ${peer.publicKey} ${chalk.gray(peer.initiator ? '(outgoing)' : '(incoming)')}`)
+        })
+
+        console.log(chalk.bold('\nBlind peers:'))
+        if (blindPeers.length === 0) {
+          console.log(chalk.yellow('  None configured, see DEFAULT_BLIND_PEER_KEYS'))
+        }
+        blindPeers.forEach(blindPeer => {
+          const status = blindPeer.connected ? chalk.green('✅ connected') : blindPeer.reachable ? chalk.green('✅ reachable') : chalk.red('❌ unreachable')
+          console.log(`  ${blindPeer.key} ${status}`)
+        })
+
+        console.log(chalk.bold('\nWriters:'))
+        const table = new Table({ head: ['Writer Key', 'Local Length', 'Remote Length', 'Peers'] })
+        writers.forEach(writer => {
+          const behind = writer.remoteLength !== null && writer.localLength !== null && writer.localLength < writer.remoteLength
+          table.push([
+            `${writer.writerKey.substring(0, 12)}...${writer.writerKey === localWriterKey ? ' (you)' : ''}`,
+            writer.localLength === null ? '-' : String(writer.localLength),
+            writer.remoteLength === null ? '-' : behind ? chalk.yellow(String(writer.remoteLength)) : String(writer.remoteLength),
+            String(writer.peers)
+          ])
+        })
+        console.log(table.toString())
+
+        if (isFullySynced(writers, peers.length)) {
+          console.log(chalk.green.bold('\n✅ Fully synced'))
+        } else if (peers.length === 0) {
+          console.log(chalk.yellow.bold('\n○ Offline: no peers connected'))
+        } else {
+          console.log(chalk.yellow.bold('\n🔄 Syncing: peers have data this device has not downloaded yet'))
+        }
+      } catch (error) {
+        console.error(chalk.red('Error reading network status:'), error.message)
+      }
+
+      const choice = await select({
+        message: 'Select an action:',
+        choices: [
+          { name: '🔄 Refresh', value: 'refresh' },
+          { name: chalk.cyan('← Back to Room Menu'), value: 'back' }
+        ]
+      })
+      if (choice === 'back') return
+    }
+  }
+
+  async showMembers(sheet) {
+    while (true) {
+      console.clear()
+      console.log(chalk.blue.bold(`👥 Members - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+
+      let members
+      let activity
+      const localWriterKey = getLocalWriterKey(sheet)
+      const roomKey = parseRoomLink(this.roomManager.getCurrentRoomLink()).key
+      const authority = await this.roomManager.getCurrentRoomAuthority()
+      try {
+        members = await listMembers(sheet, roomKey)
+
+        const lengths = {}
+        for (const member of members) {
+          lengths[member.writerKey] = await getWriterLength(this.roomManager.getCurrentStore(), member.writerKey)
+        }
+        activity = updateWriterActivity(sheet.base.key, lengths)
+      } catch (error) {
+        console.error(chalk.red('Error loading members:'), error.message)
+        await this.waitForContinue()
+        return
+      }
+
+      if (members.length === 0) {
+        console.log(chalk.yellow('No members recorded yet. Writers appear here once they open the room.\n'))
+      } else {
+        const table = new Table({ head: ['Username', 'Writer Key', 'Joined', 'Last Append Seen', 'Blocks', 'Status'] })
+        members.forEach(member => {
+          const seen = activity[member.writerKey] || {}
+          table.push([
+            `${member.username || 'unknown'}${member.keetUsername && member.keetUsername !== member.username ? ` (${member.keetUsername})` : ''}${member.writerKey === localWriterKey ? ' (you)' : ''}`,
+            `${member.writerKey.substring(0, 12)}...`,
+            member.joinedAt ? new Date(member.joinedAt).toLocaleString() : '-',
+            seen.lastAppendSeenAt ? new Date(seen.lastAppendSeenAt).toLocaleString() : '-',
+            seen.length === undefined ? '-' : String(seen.length),
+            member.revoked ? chalk.red('⛔ revoked') : member.isCreator ? chalk.green('👑 creator') : chalk.green('✅ active')
+          ])
+        })
+        console.log(table.toString())
+        console.log(chalk.cyan('Last append is when this device first saw the writer\'s data grow.\n'))
+      }
+
+      const canManage = this.roomManager.isCurrentRoomCreator() && !this.roomManager.isReadOnly() && !!authority
+      if (this.roomManager.isCurrentRoomCreator() && !authority) {
+        console.log(chalk.yellow('This room was created before creator keys, so members cannot tell your revocations from anyone else\'s.'))
+        console.log(chalk.yellow('Rotate the room key to move it into a room that has one.\n'))
+      }
+
+      const choices = []
+      if (canManage) {
+        members.filter(member => member.writerKey !== localWriterKey && !member.isCreator).forEach(member => {
+          choices.push({
+            name: member.revoked ? `♻️  Re-admit ${member.username || member.writerKey}` : `⛔ Revoke ${member.username || member.writerKey}`,
+            value: member.writerKey,
+            description: member.revoked
+              ? `Revoked ${new Date(member.revokedAt).toLocaleString()}${member.reason ? `: ${member.reason}` : ''}`
+              : 'Stop this writer from appending to the room'
+          })
+        })
+      }
+      choices.push({ name: chalk.cyan('← Back to Room Menu'), value: 'back' })
+
+      const choice = await select({
+        message: canManage ? 'Select a member to revoke or re-admit:' : 'Only the room creator can revoke members',
+        choices
+      })
+
+      if (choice === 'back') return
+
+      const member = members.find(entry => entry.writerKey === choice)
+      const by = this.roomManager.getCurrentUsername()
+      try {
+        if (member.revoked) {
+          await readmitMember(sheet, member.writerKey, by, authority)
+          console.log(chalk.green(`✅ ${member.username || 'Member'} can write again`))
+        } else {
+          console.log(chalk.yellow('\nRevoking marks this writer key as revoked. An unmodified app on that device then opens the room read-only,'))
+          console.log(chalk.yellow('but rows they append anyway, from a modified app or another device, are still shown to everyone.'))
+          console.log(chalk.yellow('Only rotating the room key cuts them off.\n'))
+          const confirmed = await this.getConfirmation(`Revoke ${member.username || member.writerKey}?`)
+          if (!confirmed) continue
+
+          const reason = await this.getInput('Reason (optional):')
+          await revokeMember(sheet, member.writerKey, by, reason.trim() || undefined, authority)
+          console.log(chalk.green(`✅ ${member.username || 'Member'} revoked`))
+          console.log(chalk.yellow('Use 🔑 Rotate Room Key now to stop them from reading and writing new data'))
+        }
+      } catch (error) {
+        console.error(chalk.red('Error updating member:'), error.message)
+      }
+      await this.waitForContinue()
+    }
+  }
+
+  async showInvites(sheet) {
+    const roomKey = z32.encode(parseRoomLink(this.roomManager.getCurrentRoomLink()).key)
+
+    while (true) {
+      console.clear()
+      console.log(chalk.blue.bold(`🎟️  Invitations - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+      console.log(chalk.cyan('Invites are redeemed through this app, so keep it open until they are used.\n'))
+
+      const invites = this.inviteManager.listInvites(roomKey)
+      const outstanding = invites.filter(invite => getInviteStatus(invite) === 'active')
+      const finished = invites.length - outstanding.length
+
+      if (outstanding.length === 0) {
+        console.log(chalk.yellow('No outstanding invites.\n'))
+      } else {
+        const table = new Table({ head: ['Created', 'Access', 'Expires', 'Uses'] })
+        outstanding.forEach(invite => {
+          table.push([
+            new Date(invite.createdAt).toLocaleString(),
+            invite.role === 'viewer' ? '👁️  read-only' : '✏️  writer',
+            invite.expiresAt ? new Date(invite.expiresAt).toLocaleString() : 'never',
+            invite.maxUses ? `${invite.uses}/${invite.maxUses}` : String(invite.uses)
+          ])
+        })
+        console.log(table.toString())
+      }
+
+      const choices = [
+        { name: '➕ Create Invite', value: 'create', description: 'Mint a new invite link' }
+      ]
+      outstanding.forEach(invite => {
+        choices.push({
+          name: `🚫 Revoke invite from ${new Date(invite.createdAt).toLocaleString()}`,
+          value: invite.id,
+          description: `${invite.role === 'viewer' ? 'Read-only' : 'Writer'} invite, ${invite.uses} use(s) so far`
+        })
+      })
+      if (finished > 0) {
+        choices.push({ name: `🧹 Clear ${finished} expired, used or revoked invite(s)`, value: 'clear' })
+      }
+      choices.push({ name: chalk.cyan('← Back to Room Menu'), value: 'back' })
+
+      const choice = await select({ message: 'Select an action:', choices })
+
+      try {
+        if (choice === 'back') {
+          return
+        } else if (choice === 'create') {
+          await this.showCreateInvite(roomKey)
+        } else if (choice === 'clear') {
+          const removed = await this.inviteManager.removeFinishedInvites(roomKey)
+          console.log(chalk.green(`✅ Cleared ${removed} invite(s)`))
+          await this.waitForContinue()
+        } else {
+          await this.inviteManager.revokeInvite(choice)
+          console.log(chalk.green('✅ Invite revoked, it can no longer be redeemed'))
+          await this.waitForContinue()
+        }
+      } catch (error) {
+        console.error(chalk.red('Error managing invites:'), error.message)
+        await this.waitForContinue()
+      }
+    }
+  }
+
+  async showCreateInvite(roomKey) {
+    const role = await select({
+      message: 'What should the invite grant?',
+      choices: [
+        { name: '✏️  Writer', value: 'writer', description: 'Joiners can add schemas and rows' },
+        { name: '👁️  Read-only', value: 'viewer', description: 'The app only lets joiners browse, the link still carries full access' }
+      ]
+    })
+    if (role === 'viewer') this.printReadOnlyLinkNote()
+
+    const expiresIn = await select({
+      message: 'Expires after:',
+      choices: INVITE_EXPIRY_OPTIONS.map(option => ({ name: option.name, value: option.value }))
+    })
+
+    // An invite that never expires must at least be single use
+    const singleUse = expiresIn === null || await this.getConfirmation('Single use?', true)
+
+    const { link } = await this.inviteManager.createInvite({ key: roomKey, petName: this.roomManager.getCurrentRoomName() }, { role, expiresIn, singleUse })
+
+    console.log(chalk.green('\n✅ Invite created'))
+    console.log(chalk.blue(`Invite Link: ${link}`))
+    const { copyToClipboardWithFeedback } = await import('../utils/clipboard.mjs')
+    await copyToClipboardWithFeedback(link, 'Invite Link')
+    await this.waitForContinue()
+  }
+
   async showCopyRoomLink(sheet) {
     const currentRoomLink = this.roomManager.getCurrentRoomLink()
     
@@ -103,8 +562,95 @@ export class MainMenu extends BaseMenu {
       return this.show(sheet)
     }
 
+    const role = await this.selectLinkRole()
+    const roomLink = this.roomManager.getCurrentRoomLinkFor(role)
     const { copyToClipboardWithFeedback } = await import('../utils/clipboard.mjs')
-    await copyToClipboardWithFeedback(currentRoomLink, 'Room Link')
+    await copyToClipboardWithFeedback(roomLink, role === 'viewer' ? 'Read-only Room Link' : 'Room Link')
     return this.show(sheet)
   }
+
+  async showRoomLinkQr(sheet) {
+    if (!this.roomManager.getCurrentRoomLink()) {
+      console.log(chalk.red('No room link available'))
+      await this.waitForContinue()
+      return
+    }
+
+    const role = await this.selectLinkRole()
+    const roomLink = this.roomManager.getCurrentRoomLinkFor(role)
+    const label = role === 'viewer' ? 'Read-only Room Link' : 'Room Link'
+    let invert = false
+
+    while (true) {
+      console.clear()
+      console.log(chalk.blue.bold(`📱 ${label} - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+      console.log(renderQrCode(roomLink, { invert }))
+      console.log(chalk.cyan(`\n${roomLink}\n`))
+      if (role === 'viewer') {
+        this.printReadOnlyLinkNote()
+        console.log('')
+      }
+
+      const choice = await select({
+        message: 'Scan the code to join, or:',
+        choices: [
+          { name: '🖼️  Save as PNG', value: 'png', description: 'Write the QR code to an image file' },
+          { name: '✒️  Save as SVG', value: 'svg', description: 'Write the QR code to a vector file for printing' },
+          { name: '🔄 Invert Colors', value: 'invert', description: 'Try this if the code does not scan on a light terminal' },
+          { name: chalk.cyan('← Back to Room Menu'), value: 'back' }
+        ]
+      })
+
+      if (choice === 'back') return
+      if (choice === 'invert') {
+        invert = !invert
+        continue
+      }
+
+      try {
+        const directory = await selectDirectory('Select a directory for the QR code:')
+        const baseName = `${this.roomManager.getCurrentRoomName() || 'room'}-${role === 'viewer' ? 'read-only' : 'writer'}-link`
+        const filePath = join(directory, getExportFileName(baseName, choice))
+        await saveQrCode(filePath, roomLink, choice)
+        console.log(chalk.green(`✅ QR code saved to ${filePath}`))
+      } catch (error) {
+        console.error(chalk.red('Error saving QR code:'), error.message)
+      }
+      await this.waitForContinue()
+    }
+  }
+
+  /**
+   * Ask which kind of room link to share. Viewers can only pass on the
+   * read-only link they joined with.
+   */
+  async selectLinkRole() {
+    if (this.roomManager.isReadOnly()) return 'viewer'
+
+    const role = await select({
+      message: 'Which kind of link?',
+      choices: [
+        {
+          name: '✏️  Writer Link',
+          value: 'writer',
+          description: 'Joiners can add schemas and rows'
+        },
+        {
+          name: '👁️  Read-only Link',
+          value: 'viewer',
+          description: 'The app only lets joiners browse, the link still carries full access'
+        }
+      ]
+    })
+    if (role === 'viewer') this.printReadOnlyLinkNote()
+    return role
+  }
+
+  /**
+   * The role byte of a link is a hint to the app, not a capability
+   */
+  printReadOnlyLinkNote() {
+    console.log(chalk.yellow('⚠️  Read-only is advisory: the link carries the same keys as a writer link and can be turned into one.'))
+    console.log(chalk.yellow('   Only share it with people you would also trust to write.'))
+  }
 }
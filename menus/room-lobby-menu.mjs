@@ -1,21 +1,32 @@
 import chalk from 'chalk'
 import z32 from 'z32'
+import b4a from 'b4a'
 import Id from 'hypercore-id-encoding'
-import { password } from '@inquirer/prompts'
+import { select, password } from '@inquirer/prompts'
+import Table from 'cli-table3'
 import { BaseMenu } from './base-menu.mjs'
+import { parseRoomLink, getRoomRole, sortRooms, hasUnreadActivity, ROOM_SORT_OPTIONS } from '../lobby.mjs'
+import { isInviteLink, parseInviteLink } from '../rooms/invite-manager.mjs'
 import { signingConfigExists, createSigningConfig, loadSigningConfig } from '../config/signing-utils.mjs'
+import { listTrustedIdentities, unpinIdentity } from '../config/trusted-identities.mjs'
+import { readBackupFile, summarizeBackup } from '../sheets/room-backup.mjs'
+import { selectJsonFile } from '../utils/file-helpers.mjs'
+import { formatBytes } from '../utils/display.mjs'
+import { listCorestoreDirectories, listRoomCores, findUnreferencedCores, purgeCores, compactStore } from '../rooms/room-storage.mjs'
 
 export class RoomLobbyMenu extends BaseMenu {
-  constructor(roomManager, sheetOps, lobby) {
+  constructor(roomManager, sheetOps, lobby, inviteManager) {
     super(roomManager, sheetOps)
     this.lobby = lobby
+    this.inviteManager = inviteManager
   }
 
   async show() {
     const title = '🏠 Room Lobby'
     console.log(chalk.cyan('Manage your rooms and join schema sheets\n'))
 
-    const rooms = await this.lobby.listRooms()
+    const { sortBy } = this.lobby.getSettings()
+    const rooms = sortRooms(await this.lobby.listRooms(), sortBy)
     const hasSigningConfig = signingConfigExists()
     
     const choices = [
@@ -28,6 +39,21 @@ export class RoomLobbyMenu extends BaseMenu {
         name: '🔗 Join Room by Link',
         value: 'join-room',
         description: 'Join an existing room using a room link'
+      },
+      {
+        name: '♻️  Restore Backup into New Room',
+        value: 'restore-room',
+        description: 'Create a fresh room from a room backup file'
+      },
+      {
+        name: '📦 Storage',
+        value: 'storage',
+        description: 'See how much disk each room uses and purge data of deleted rooms'
+      },
+      {
+        name: '📇 Trusted Identities',
+        value: 'trusted-identities',
+        description: 'Pin signers\' identity keys to names you checked'
       }
     ]
 
@@ -50,13 +76,33 @@ export class RoomLobbyMenu extends BaseMenu {
       
       rooms.forEach(room => {
         const createdDate = new Date(room.createdAt).toLocaleDateString()
-        const isCreator = room.isCreator ? '👑' : '👤'
+        const isCreator = room.isCreator ? '👑' : getRoomRole(room) === 'viewer' ? '👁️ ' : '👤'
+        const open = this.roomManager.isRoomOpen(room.key)
+        const pinned = room.pinned ? '📌 ' : ''
+        const unread = hasUnreadActivity(room) ? chalk.magenta(' ● new') : ''
         choices.push({
-          name: `${isCreator} ${room.petName} (${createdDate})`,
+          name: `${pinned}${isCreator} ${room.petName} (${createdDate})${open ? chalk.green(' 🟢 open') : ''}${unread}`,
           value: `room-${room.key}`,
-          description: `Join as ${room.username}`
+          description: open
+            ? 'Resume this room, it has kept syncing in the background'
+            : getRoomRole(room) === 'viewer' ? `Browse read-only as ${room.username}` : `Join as ${room.username}`
         })
       })
+
+      const sortOption = ROOM_SORT_OPTIONS.find(option => option.value === sortBy) || ROOM_SORT_OPTIONS[0]
+      choices.push({
+        name: chalk.cyan('--- Room Options ---'),
+        value: 'separator',
+        disabled: ''
+      }, {
+        name: '⚙️  Manage Rooms',
+        value: 'manage-rooms',
+        description: 'Rename, change your username, pin or leave a room'
+      }, {
+        name: `🔃 Sort Rooms: ${sortOption.name}`,
+        value: 'sort-rooms',
+        description: 'Pinned rooms always come first'
+      })
     }
 
     choices.push({
@@ -75,6 +121,422 @@ export class RoomLobbyMenu extends BaseMenu {
     return { choice, rooms }
   }
 
+  async showSortRooms() {
+    const { sortBy } = this.lobby.getSettings()
+    const choice = await select({
+      message: 'Sort rooms by:',
+      choices: ROOM_SORT_OPTIONS.map(option => ({
+        name: `${option.value === sortBy ? '● ' : '  '}${option.name}`,
+        value: option.value
+      })),
+      default: sortBy
+    })
+    this.lobby.updateSettings({ sortBy: choice })
+  }
+
+  async showManageRooms() {
+    const { sortBy } = this.lobby.getSettings()
+    const rooms = sortRooms(await this.lobby.listRooms(), sortBy)
+
+    const roomKey = await select({
+      message: 'Which room?',
+      choices: [
+        ...rooms.map(room => ({ name: `${room.pinned ? '📌 ' : ''}${room.petName}`, value: room.key })),
+        { name: chalk.cyan('← Back to Lobby'), value: 'back' }
+      ]
+    })
+    if (roomKey === 'back') return
+
+    return this.showRoomActions(rooms.find(room => room.key === roomKey))
+  }
+
+  async showRoomActions(room) {
+    const keyHex = b4a.toString(z32.decode(room.key), 'hex')
+
+    while (true) {
+      room = await this.lobby.getRoomByKey(keyHex)
+      if (!room) return
+
+      console.clear()
+      console.log(chalk.blue.bold(`⚙️  ${room.petName}\n`))
+      console.log(chalk.cyan(`Username: ${room.username || 'none'}`))
+      console.log(chalk.cyan(`Role: ${room.isCreator ? 'creator' : getRoomRole(room)}`))
+      console.log(chalk.cyan(`Created: ${new Date(room.createdAt).toLocaleString()}`))
+      if (room.lastOpenedAt) {
+        console.log(chalk.cyan(`Last opened: ${new Date(room.lastOpenedAt).toLocaleString()}`))
+      }
+      if (hasUnreadActivity(room)) {
+        console.log(chalk.magenta(`New activity: ${new Date(room.lastActivityAt).toLocaleString()}`))
+      }
+      console.log('')
+
+      const action = await select({
+        message: 'What would you like to do?',
+        choices: [
+          { name: '✏️  Rename', value: 'rename', description: 'Change the name this room has on this device' },
+          { name: '👤 Change My Username', value: 'username', description: 'Used the next time you open the room' },
+          room.pinned
+            ? { name: '📌 Unpin', value: 'unpin', description: 'Sort this room with the others again' }
+            : { name: '📌 Pin', value: 'pin', description: 'Keep this room at the top of the lobby' },
+          { name: '🚪 Leave Room', value: 'leave', description: 'Remove this room from the lobby, optionally wiping its data' },
+          { name: chalk.cyan('← Back to Lobby'), value: 'back' }
+        ]
+      })
+
+      try {
+        switch (action) {
+          case 'rename': {
+            const petName = await this.getInput('New room name:', {
+              default: room.petName,
+              validate: (input) => input.trim() ? true : 'Room name is required'
+            })
+            await this.roomManager.renameRoom(room.key, petName.trim())
+            break
+          }
+          case 'username': {
+            const username = await this.getInput('New username:', {
+              default: room.username || '',
+              validate: (input) => input.trim() ? true : 'Username is required'
+            })
+            await this.lobby.updateRoom(keyHex, { username: username.trim() })
+            if (this.roomManager.isRoomOpen(room.key)) {
+              console.log(chalk.yellow('The room is open, close it and open it again to use the new username'))
+              await this.waitForContinue()
+            }
+            break
+          }
+          case 'pin':
+          case 'unpin':
+            await this.lobby.updateRoom(keyHex, { pinned: action === 'pin' })
+            break
+          case 'leave':
+            if (await this.showLeaveRoom(room)) return
+            break
+          case 'back':
+            return
+        }
+      } catch (error) {
+        console.error(chalk.red('Error updating room:'), error.message)
+        await this.waitForContinue()
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} True if the room was left
+   */
+  async showLeaveRoom(room) {
+    console.log(chalk.yellow(`\nLeaving removes "${room.petName}" from this device's lobby, other members keep the room.`))
+    if (room.isCreator) {
+      console.log(chalk.yellow('You created this room, make sure someone else has a link if you want to come back.'))
+    }
+
+    const confirmed = await this.getConfirmation(`Leave "${room.petName}"?`)
+    if (!confirmed) return false
+
+    const wipe = await this.getConfirmation('Also wipe its data from this device? Rows you wrote that never reached a peer are lost', false)
+
+    await this.roomManager.closeRoom(room.key)
+
+    // Rooms moved by a key rotation leave their earlier records behind too
+    const left = []
+    for (let key = room.key; key;) {
+      const keyHex = b4a.toString(z32.decode(key), 'hex')
+      const record = await this.lobby.getRoomByKey(keyHex)
+      if (!record) break
+      await this.lobby.deleteRoom(keyHex)
+      left.push(record)
+      key = record.rotatedFrom
+    }
+
+    console.log(chalk.green(`✅ Left "${room.petName}"`))
+
+    if (wipe) {
+      let bytes = 0
+      for (const record of left) {
+        try {
+          bytes += await this.wipeDeletedRoom(record)
+        } catch (error) {
+          console.error(chalk.red('Error wiping room data:'), error.message)
+          console.log(chalk.yellow('Its data can still be purged from the 📦 Storage screen'))
+        }
+      }
+      console.log(chalk.green(`🧹 Wiped ${formatBytes(bytes)} of room data`))
+    }
+
+    await this.waitForContinue()
+    return true
+  }
+
+  /**
+   * Clear the cores of a deleted room and forget its record
+   * @returns {Promise<number>} Bytes freed
+   */
+  async wipeDeletedRoom(room) {
+    const store = this.roomManager.getCurrentStore()
+    const cores = await this.roomManager.inspectRoom(room, (sheet, namespace) => listRoomCores(store, sheet, namespace))
+    const bytes = await purgeCores(store, cores)
+    await this.lobby.forgetDeletedRoom(b4a.toString(z32.decode(room.key), 'hex'))
+    return bytes
+  }
+
+  /**
+   * Measure every known and deleted room, and whatever no room references
+   * @returns {Object} { directories, rooms, deleted, unreferenced } where
+   *   rooms and deleted are [{ room, cores, bytes, error }]
+   */
+  async collectStorageReport() {
+    const store = this.roomManager.getCurrentStore()
+
+    const measure = async room => {
+      try {
+        const cores = await this.roomManager.inspectRoom(room, (sheet, namespace) => listRoomCores(store, sheet, namespace))
+        return { room, cores, bytes: cores.reduce((total, core) => total + core.bytes, 0), error: null }
+      } catch (error) {
+        return { room, cores: [], bytes: 0, error: error.message }
+      }
+    }
+
+    const rooms = []
+    for (const room of await this.lobby.listRooms({ includeRotated: true })) {
+      rooms.push(await measure(room))
+    }
+
+    // A room that was deleted and joined again keeps its cores
+    const referenced = new Set(rooms.flatMap(entry => entry.cores.map(core => core.discoveryKey)))
+    const deleted = []
+    for (const room of await this.lobby.listDeletedRooms()) {
+      const entry = await measure(room)
+      entry.cores = entry.cores.filter(core => !referenced.has(core.discoveryKey))
+      entry.bytes = entry.cores.reduce((total, core) => total + core.bytes, 0)
+      deleted.push(entry)
+    }
+
+    deleted.forEach(entry => entry.cores.forEach(core => referenced.add(core.discoveryKey)))
+
+    return {
+      directories: listCorestoreDirectories(this.lobby.storagePath),
+      rooms,
+      deleted,
+      unreferenced: await findUnreferencedCores(store, referenced)
+    }
+  }
+
+  async showStorage() {
+    while (true) {
+      console.clear()
+      console.log(chalk.blue.bold('📦 Storage\n'))
+      console.log(chalk.blue('🔄 Measuring rooms...'))
+
+      let report
+      try {
+        report = await this.collectStorageReport()
+      } catch (error) {
+        console.error(chalk.red('Error measuring storage:'), error.message)
+        await this.waitForContinue()
+        return
+      }
+
+      console.clear()
+      console.log(chalk.blue.bold('📦 Storage\n'))
+
+      const directoryTable = new Table({ head: ['Corestore', 'On Disk'] })
+      report.directories.forEach(directory => directoryTable.push([directory.name, formatBytes(directory.bytes)]))
+      console.log(directoryTable.toString())
+
+      const roomTable = new Table({ head: ['Room', 'Writers', 'Views', 'Blocks', 'Size'] })
+      const addRoomLine = ({ room, cores, bytes, error }, label) => {
+        const name = `${room.petName}${label}`
+        if (error) {
+          roomTable.push([name, { colSpan: 4, content: chalk.red(error) }])
+          return
+        }
+        roomTable.push([
+          name,
+          cores.filter(core => core.kind === 'writer').length,
+          cores.filter(core => core.kind === 'view').length,
+          cores.reduce((total, core) => total + core.contiguousLength, 0),
+          formatBytes(bytes)
+        ])
+      }
+      report.rooms.forEach(entry => addRoomLine(entry, entry.room.rotatedTo ? chalk.gray(' (key rotated)') : ''))
+      report.deleted.forEach(entry => addRoomLine(entry, chalk.yellow(' (deleted)')))
+      console.log(roomTable.toString())
+      console.log(chalk.gray('Sizes count the blocks stored on this device, missing blocks of sparse cores are estimated'))
+
+      const unreferencedBytes = report.unreferenced.reduce((total, core) => total + core.bytes, 0)
+      if (report.unreferenced.length > 0) {
+        console.log(chalk.yellow(`\n⚠️  ${report.unreferenced.length} core(s) holding ${formatBytes(unreferencedBytes)} are not referenced by any known room`))
+      }
+      console.log('')
+
+      const choices = []
+      report.rooms.concat(report.deleted).forEach((entry, index) => {
+        if (entry.cores.length === 0) return
+        choices.push({
+          name: `🔍 ${entry.room.petName}${entry.room.deletedAt ? ' (deleted)' : ''}`,
+          value: `details-${index}`,
+          description: 'Size of each writer and view core'
+        })
+      })
+      report.deleted.forEach((entry, index) => {
+        if (entry.error) return
+        choices.push({
+          name: `🗑️  Purge ${entry.room.petName}`,
+          value: `purge-${index}`,
+          description: `Free ${formatBytes(entry.bytes)} held by this deleted room`
+        })
+      })
+      if (report.unreferenced.length > 0) {
+        choices.push({
+          name: '🔍 Unreferenced Cores',
+          value: 'unreferenced',
+          description: 'Cores left by old sessions or rooms deleted before this screen existed'
+        })
+      }
+      choices.push(
+        { name: '🗜️  Compact Storage', value: 'compact', description: 'Give space from cleared data back to the disk' },
+        { name: '🔄 Refresh', value: 'refresh' },
+        { name: chalk.cyan('← Back to Lobby'), value: 'back' }
+      )
+
+      const action = await select({ message: 'Choose an action:', choices })
+      if (action === 'back') return
+
+      if (action.startsWith('details-')) {
+        const entry = report.rooms.concat(report.deleted)[Number(action.replace('details-', ''))]
+        this.printCoreTable(`Cores of ${entry.room.petName}`, entry.cores)
+        await this.waitForContinue()
+      } else if (action === 'unreferenced') {
+        this.printCoreTable('Cores not referenced by any known room', report.unreferenced)
+        await this.waitForContinue()
+      } else if (action.startsWith('purge-')) {
+        await this.showPurgeDeletedRoom(report.deleted[Number(action.replace('purge-', ''))])
+      } else if (action === 'compact') {
+        try {
+          console.log(chalk.blue('🔄 Compacting...'))
+          await compactStore(this.roomManager.getCurrentStore())
+          console.log(chalk.green('✅ Storage compacted'))
+        } catch (error) {
+          console.error(chalk.red('Error compacting storage:'), error.message)
+        }
+        await this.waitForContinue()
+      }
+    }
+  }
+
+  printCoreTable(title, cores) {
+    console.clear()
+    console.log(chalk.blue.bold(`📦 ${title}\n`))
+
+    const table = new Table({ head: ['Core', 'Kind', 'Owner', 'Blocks', 'Size'] })
+    cores.forEach(core => {
+      table.push([
+        `${core.key.slice(0, 12)}...`,
+        core.kind || '-',
+        core.label || '-',
+        `${core.contiguousLength}/${core.length}`,
+        formatBytes(core.bytes)
+      ])
+    })
+    console.log(table.toString())
+  }
+
+  async showTrustedIdentities() {
+    while (true) {
+      console.clear()
+      console.log(chalk.blue.bold('📇 Trusted Identities\n'))
+      console.log(chalk.cyan('Signatures by these keys are shown with the name you pinned, not the username the signer declared\n'))
+
+      const identities = listTrustedIdentities()
+      if (identities.length === 0) {
+        console.log(chalk.yellow('No identities pinned yet. Pin one here, or from a row\'s signatures\n'))
+      } else {
+        const table = new Table({ head: ['Name', 'Identity', 'Pinned'] })
+        identities.forEach(entry => {
+          table.push([this.formatPinnedName(entry), entry.identity, new Date(entry.pinnedAt).toLocaleDateString()])
+        })
+        console.log(table.toString())
+      }
+
+      const action = await select({
+        message: 'What would you like to do?',
+        choices: [
+          { name: '➕ Pin an Identity Key', value: 'add', description: 'Paste a Keet identity key you received from its owner' },
+          ...identities.map(entry => ({
+            name: `✏️  ${entry.name}`,
+            value: entry.identity,
+            description: 'Rename, change trust level or unpin'
+          })),
+          { name: chalk.cyan('← Back to Lobby'), value: 'back' }
+        ]
+      })
+
+      if (action === 'back') return
+
+      try {
+        if (action === 'add') {
+          const identity = await this.getInput('Identity key:', {
+            validate: (value) => {
+              try {
+                return Id.decode(value.trim()).length === 32 ? true : 'Not an identity key'
+              } catch {
+                return 'Not an identity key'
+              }
+            }
+          })
+          const pinned = await this.promptPinIdentity(Id.normalize(identity.trim()))
+          console.log(chalk.green(`✅ Pinned as ${pinned.name}`))
+          await this.waitForContinue()
+          continue
+        }
+
+        const entry = identities.find(item => item.identity === action)
+        const edit = await select({
+          message: `${entry.name}:`,
+          choices: [
+            { name: '✏️  Edit Name and Trust Level', value: 'edit' },
+            { name: '🗑️  Unpin', value: 'unpin' },
+            { name: chalk.cyan('← Back'), value: 'back' }
+          ]
+        })
+
+        if (edit === 'edit') {
+          await this.promptPinIdentity(entry.identity)
+        } else if (edit === 'unpin' && await this.getConfirmation(`Unpin ${entry.name}? Their signatures will show as not pinned`)) {
+          unpinIdentity(entry.identity)
+          console.log(chalk.green(`✅ Unpinned ${entry.name}`))
+          await this.waitForContinue()
+        }
+      } catch (error) {
+        console.error(chalk.red('Error updating trusted identities:'), error.message)
+        await this.waitForContinue()
+      }
+    }
+  }
+
+  async showPurgeDeletedRoom(entry) {
+    if (this.roomManager.isRoomOpen(entry.room.key)) {
+      console.log(chalk.yellow('This room is still open, close it before purging its data'))
+      await this.waitForContinue()
+      return
+    }
+
+    console.log(chalk.yellow(`\nThis clears ${entry.cores.length} core(s) of "${entry.room.petName}" from this device.`))
+    console.log(chalk.yellow('Rows you wrote that never reached a peer are lost.'))
+    const confirmed = await this.getConfirmation(`Purge ${formatBytes(entry.bytes)} of room data?`)
+    if (!confirmed) return
+
+    try {
+      const bytes = await purgeCores(this.roomManager.getCurrentStore(), entry.cores)
+      await this.lobby.forgetDeletedRoom(b4a.toString(z32.decode(entry.room.key), 'hex'))
+      console.log(chalk.green(`✅ Purged "${entry.room.petName}", ${formatBytes(bytes)} freed`))
+    } catch (error) {
+      console.error(chalk.red('Error purging room data:'), error.message)
+    }
+    await this.waitForContinue()
+  }
+
   async showSetupSigning() {
     const title = '🔐 Setup Signing'
     console.log(chalk.cyan('Configure your Keet identity for signing data\n'))
@@ -154,22 +616,93 @@ export class RoomLobbyMenu extends BaseMenu {
     }
   }
 
+  async showRestoreRoom() {
+    console.clear()
+    console.log(chalk.blue.bold('♻️  Restore Backup into New Room\n'))
+
+    try {
+      const filePath = await selectJsonFile('Select room backup file:')
+      const archive = readBackupFile(filePath)
+      const summary = summarizeBackup(archive)
+
+      console.log(chalk.cyan(`\nBackup of "${archive.room.petName || 'Unknown'}" taken ${new Date(archive.createdAt).toLocaleString()}`))
+      console.log(chalk.cyan(`${summary.schemas} schema(s), ${summary.uiSchemas} UI schema(s), ${summary.queries} quer${summary.queries === 1 ? 'y' : 'ies'}, ${summary.rows} row(s), ${summary.attestations} signature(s)`))
+      console.log(chalk.yellow('Restored rows get new IDs and the restore time as their creation time\n'))
+
+      const petName = await this.getInput('Enter a name for the new room:', {
+        default: archive.room.petName ? `${archive.room.petName} (restored)` : '',
+        validate: (input) => {
+          if (!input.trim()) return 'Room name is required'
+          return true
+        }
+      })
+
+      const signingConfig = loadSigningConfig()
+      let username
+
+      if (signingConfig && signingConfig.keetUsername) {
+        username = signingConfig.keetUsername
+        console.log(chalk.cyan(`Using Keet username: ${username}`))
+      } else {
+        username = await this.getInput('Enter your username:', {
+          validate: (input) => {
+            if (!input.trim()) return 'Username is required'
+            return true
+          }
+        })
+      }
+
+      return { archive, petName: petName.trim(), username }
+    } catch (error) {
+      console.error(chalk.red('Error reading backup:'), error.message)
+      await this.waitForContinue()
+      return null
+    }
+  }
+
   async showJoinRoom() {
     const title = '🔗 Join Room by Link'
 
     try {
-      const roomLink = await this.getInput('Enter room link:', {
+      const pastedLink = await this.getInput('Enter room link or invite link:', {
         validate: (input) => {
           if (!input.trim()) return 'Room link is required'
           try {
-            z32.decode(input)
+            if (isInviteLink(input)) {
+              parseInviteLink(input)
+            } else {
+              parseRoomLink(input)
+            }
             return true
-          } catch {
-            return 'Invalid room link format'
+          } catch (error) {
+            return error.message
           }
         }
       })
 
+      let roomLink = pastedLink
+      let invitedPetName
+      if (isInviteLink(pastedLink)) {
+        console.log(chalk.cyan('🎟️  Invite link: looking for the inviter online...'))
+        try {
+          const grant = await this.inviteManager.redeemInvite(pastedLink)
+          roomLink = grant.link
+          invitedPetName = grant.petName
+          console.log(chalk.green(`✅ Invite accepted${invitedPetName ? ` for "${invitedPetName}"` : ''}`))
+        } catch (error) {
+          console.error(chalk.red('Could not redeem invite:'), error.message)
+          await this.waitForContinue()
+          return null
+        }
+      }
+
+      const { role, version } = parseRoomLink(roomLink)
+      if (role === 'viewer') {
+        console.log(chalk.cyan('👁️  Read-only link: you can browse rows and queries, but not add or edit anything'))
+      } else {
+        console.log(chalk.cyan(`✏️  Writer link${version === 0 ? ' (legacy format)' : ''}: you can add schemas and rows`))
+      }
+
       const username = await this.getInput('Enter your username:', {
         validate: (input) => {
           if (!input.trim()) return 'Username is required'
@@ -178,13 +711,14 @@ export class RoomLobbyMenu extends BaseMenu {
       })
 
       const petName = await this.getInput('Enter a local name for this room (optional):', {
+        default: invitedPetName,
         validate: (input) => {
           // Allow empty input for optional field
           return true
         }
       })
 
-      return { roomLink, username, petName: petName.trim() || undefined }
+      return { roomLink: roomLink.trim(), username, petName: petName.trim() || undefined }
     } catch (error) {
       console.error(chalk.red('Error in join room form:'), error.message)
       await this.waitForContinue()
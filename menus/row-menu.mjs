@@ -1,16 +1,41 @@
 import chalk from 'chalk'
 import { spawn } from 'child_process'
-import { select, input, confirm } from '@inquirer/prompts'
+import { select, input, confirm, checkbox } from '@inquirer/prompts'
+import Table from 'cli-table3'
 import { BaseMenu } from './base-menu.mjs'
 import { WebFormServer } from '../web/index.mjs'
 import { getDateRanges, formatDateRange } from '../utils/date-filters.mjs'
 import { displayJsonWithFallback, createRowTable, addRowToTable, createRowChoices } from '../utils/display.mjs'
-import { signingConfigExists, loadSigningConfig } from '../config/signing-utils.mjs'
-import b4a from 'b4a'
-import IdentityKey from 'keet-identity-key'
+import { signingConfigExists, loadSigningConfig, createRowAttestation, verifyRowAttestation, SIGNATURE_ENCODINGS } from '../config/signing-utils.mjs'
+import { exportRows, exportTable } from '../utils/export.mjs'
+import { formatOutput } from '../utils/output.mjs'
+import { aggregateRows, flattenAggregate, getAggregateFields, METRICS } from '../utils/aggregate.mjs'
+import { renderSparkline, renderBarChart, renderLineChart } from '../utils/charts.mjs'
+import { watchSheet, waitForKeypress } from '../utils/watch.mjs'
+import { selectDirectory } from '../utils/file-helpers.mjs'
+import { addRowRevision, getRowHistory, getRowState, filterCurrentRows, getTombstone, addRowTombstone, restoreRow, getRowAuditTrail } from '../sheets/row-history.mjs'
+import { copySchemaToRoom, copyRowsToRoom } from '../sheets/room-copy.mjs'
+import { buildSignatureReport, exportSignatureReport } from '../sheets/signature-report.mjs'
+import { loadTrustedIdentities, checkSigner } from '../config/trusted-identities.mjs'
 import Id from 'hypercore-id-encoding'
 
 export class RowMenu extends BaseMenu {
+  constructor(roomManager, sheetOps) {
+    super(roomManager, sheetOps)
+    this.showArchived = false
+  }
+
+  /**
+   * Author details recorded with revisions and tombstones
+   */
+  getAuthor() {
+    const signingConfig = loadSigningConfig()
+    return {
+      username: this.roomManager.getCurrentUsername(),
+      keetUsername: signingConfig ? signingConfig.keetUsername : undefined
+    }
+  }
+
   async signRowIfConfigured(sheet, schema, rowId, rowData) {
     try {
       // Check if signing is configured
@@ -36,16 +61,8 @@ export class RowMenu extends BaseMenu {
 
       console.log(chalk.cyan('Signing row...'))
 
-      // Get the row data as a buffer for signing
-      const message = b4a.from(JSON.stringify(rowData))
-      const keyPair = { publicKey: signingConfig.devicePublicKey, secretKey: signingConfig.deviceSecretKey}
-
       // Create attestation proof using stored device keypair and proof
-      const proof = IdentityKey.attestData(
-        message, 
-        keyPair,
-        signingConfig.bootstrapProof
-      )
+      const proof = createRowAttestation(rowData, signingConfig)
 
       // Submit the attestation to the sheet
       await sheet.addRowAttestation(rowId, proof, signingConfig.keetUsername)
@@ -60,19 +77,11 @@ export class RowMenu extends BaseMenu {
   }
 
   async show(sheet, schema) {
-    const title = `📊 Managing Schema: ${schema.name} - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}`
+    const readOnly = this.roomManager.isReadOnly()
+    const title = `📊 Managing Schema: ${schema.name} - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}${readOnly ? ' (👁️ read-only)' : ''}`
 
-    const choices = [
-      {
-        name: '📋 List Rows',
-        value: 'list-rows',
-        description: 'View all rows in this schema'
-      },
-      {
-        name: '🔍 Filter Rows',
-        value: 'filter-rows',
-        description: 'Filter rows by date range and JMESPath queries'
-      },
+    // Actions that append to the room are hidden from viewers
+    const writeChoices = readOnly ? [] : [
       {
         name: '➕ Add Row',
         value: 'add-row',
@@ -97,6 +106,35 @@ export class RowMenu extends BaseMenu {
         name: '🔍 Manage Queries',
         value: 'manage-queries',
         description: 'Create, edit, and delete saved queries for this schema'
+      }
+    ]
+
+    const choices = [
+      {
+        name: '📋 List Rows',
+        value: 'list-rows',
+        description: 'View all rows in this schema'
+      },
+      {
+        name: '🔍 Filter Rows',
+        value: 'filter-rows',
+        description: 'Filter rows by date range and JMESPath queries'
+      },
+      {
+        name: '📈 Activity Trends',
+        value: 'trends',
+        description: 'Chart rows per day and numeric fields over time'
+      },
+      {
+        name: '🔏 Verify All Signatures',
+        value: 'verify-signatures',
+        description: 'Check every row\'s signatures and report them by signer'
+      },
+      ...writeChoices,
+      {
+        name: `🗄️  Show Archived Rows: ${this.showArchived ? 'On' : 'Off'}`,
+        value: 'toggle-archived',
+        description: 'Include archived and deleted rows in row lists'
       },
       {
         name: chalk.cyan('← Back to Main Menu'),
@@ -111,6 +149,10 @@ export class RowMenu extends BaseMenu {
         return this.showRowList(sheet, schema, this.show.bind(this))
       case 'filter-rows':
         return this.showFilterRows(sheet, schema, this.show.bind(this))
+      case 'trends':
+        return this.showTrends(sheet, schema, this.show.bind(this))
+      case 'verify-signatures':
+        return this.showVerifySignatures(sheet, schema, this.show.bind(this))
       case 'add-row':
         return this.showAddRow(sheet, schema, this.show.bind(this))
       case 'edit-schema':
@@ -121,6 +163,9 @@ export class RowMenu extends BaseMenu {
         return this.showUISchemaMenu(sheet, schema, this.show.bind(this))
       case 'manage-queries':
         return this.showManageQueries(sheet, schema, this.show.bind(this))
+      case 'toggle-archived':
+        this.showArchived = !this.showArchived
+        return this.show(sheet, schema)
       case 'back':
         return 'back'
       default:
@@ -142,7 +187,11 @@ export class RowMenu extends BaseMenu {
         listOptions.query = listViewQuery.JMESPathQuery
       }
 
-      const rows = await sheet.list(schema.schemaId, listOptions)
+      const rowState = await getRowState(sheet, schema.schemaId)
+      const rows = filterCurrentRows(await sheet.list(schema.schemaId, listOptions), rowState, { includeArchived: this.showArchived })
+      if (this.showArchived) {
+        console.log(chalk.cyan('Showing archived and deleted rows 🗄️\n'))
+      }
       
       if (rows.length === 0) {
         console.log(chalk.yellow('No rows found. Add one first!'))
@@ -155,13 +204,28 @@ export class RowMenu extends BaseMenu {
       const selectedRowId = await displayRowsInteractively(
         rows, 
         listViewQuery, 
-        `Select a row (${rows.length} total):`
+        `Select a row (${rows.length} total):`,
+        [{
+          name: '👀 Watch',
+          value: 'watch-rows',
+          description: 'Keep this list updated as peers add rows'
+        }, ...this.getCopyRowsAction(rows)]
       )
 
       if (!selectedRowId) {
         return returnCallback(sheet, schema)
       }
 
+      if (selectedRowId === 'watch-rows') {
+        await this.showWatchRows(sheet, schema, listOptions, listViewQuery ? `List view: ${listViewQuery.name}` : '')
+        return this.showRowList(sheet, schema, returnCallback)
+      }
+
+      if (selectedRowId === 'copy-rows-to-room') {
+        await this.showCopyRowsToRoom(sheet, schema, rows)
+        return this.showRowList(sheet, schema, returnCallback)
+      }
+
       // Get the full row data and show actions menu
       const fullRow = await sheet.getRow(schema.schemaId, selectedRowId)
       await this.showRowActions(sheet, schema, fullRow, returnCallback)
@@ -276,7 +340,7 @@ export class RowMenu extends BaseMenu {
     }
 
     // Handle JMESPath query selection/creation
-    const jmesQuery = await this.sheetOps.showQuerySelection(sheet, schema)
+    const jmesQuery = await this.sheetOps.showQuerySelection(sheet, schema, { canSave: !this.roomManager.isReadOnly() })
 
     const filter = {}
     
@@ -330,7 +394,11 @@ export class RowMenu extends BaseMenu {
         listOptions.query = queryToUse
       }
 
-      const rows = await sheet.list(schema.schemaId, listOptions)
+      const rowState = await getRowState(sheet, schema.schemaId)
+      const rows = filterCurrentRows(await sheet.list(schema.schemaId, listOptions), rowState, { includeArchived: this.showArchived })
+      if (this.showArchived) {
+        console.log(chalk.cyan('Showing archived and deleted rows 🗄️\n'))
+      }
       
       if (rows.length === 0) {
         console.log(chalk.yellow('No rows found in the selected date range.'))
@@ -347,13 +415,52 @@ export class RowMenu extends BaseMenu {
       const selectedRowId = await displayRowsInteractively(
         rows, 
         displayQuery, 
-        `Select a row (${rows.length} filtered):`
+        `Select a row (${rows.length} filtered):`,
+        [
+          {
+            name: '📊 Aggregate Results',
+            value: 'aggregate-results',
+            description: 'Group these rows into hour, day, week or month buckets'
+          },
+          {
+            name: '💾 Export Results',
+            value: 'export-results',
+            description: 'Write these rows to a CSV, NDJSON or XLSX file'
+          },
+          {
+            name: '👀 Watch',
+            value: 'watch-rows',
+            description: 'Re-run this filter as peers add rows'
+          },
+          ...this.getCopyRowsAction(rows)
+        ]
       )
 
       if (!selectedRowId) {
         return returnCallback(sheet, schema)
       }
 
+      if (selectedRowId === 'aggregate-results') {
+        await this.showAggregateResults(schema, rows)
+        return this.showFilteredRowList(sheet, schema, filter, filterType, jmesQuery, returnCallback)
+      }
+
+      if (selectedRowId === 'watch-rows') {
+        const dateLabel = filterType === 'none' ? 'No date restriction' : formatDateRange(filterType, filter.gte, filter.lte)
+        await this.showWatchRows(sheet, schema, listOptions, queryToUse ? `${dateLabel} - JMESPath: ${queryToUse}` : dateLabel)
+        return this.showFilteredRowList(sheet, schema, filter, filterType, jmesQuery, returnCallback)
+      }
+
+      if (selectedRowId === 'export-results') {
+        await this.showExportResults(schema, rows, queryToUse)
+        return this.showFilteredRowList(sheet, schema, filter, filterType, jmesQuery, returnCallback)
+      }
+
+      if (selectedRowId === 'copy-rows-to-room') {
+        await this.showCopyRowsToRoom(sheet, schema, rows)
+        return this.showFilteredRowList(sheet, schema, filter, filterType, jmesQuery, returnCallback)
+      }
+
       // Get the full row data and show actions menu
       const fullRow = await sheet.getRow(schema.schemaId, selectedRowId)
       
@@ -372,11 +479,371 @@ export class RowMenu extends BaseMenu {
     }
   }
 
+  /**
+   * Row list action for copying every listed row, when another open room can take them
+   */
+  getCopyRowsAction(rows) {
+    if (this.getCopyTargets().length === 0) return []
+    return [{
+      name: '📤 Copy to Another Room',
+      value: 'copy-rows-to-room',
+      description: `Add these ${rows.length} row(s) and their signatures to another open room`
+    }]
+  }
+
+  /**
+   * Copy rows into another open room, creating the schema there if needed
+   * @param {Array} rows - Rows as listed, refetched in full before copying
+   */
+  async showCopyRowsToRoom(sheet, schema, rows) {
+    console.clear()
+    console.log(chalk.blue.bold(`📤 Copy ${rows.length} Row(s) to Another Room - Schema: ${schema.name}\n`))
+
+    const target = await this.selectCopyTarget()
+    if (!target) {
+      await this.waitForContinue()
+      return
+    }
+
+    try {
+      // List views may project rows, so copy the stored JSON
+      const fullRows = []
+      for (const row of rows) {
+        fullRows.push(await sheet.getRow(schema.schemaId, row.uuid))
+      }
+
+      const copied = await copySchemaToRoom(sheet, target.sheet, schema)
+      if (copied.created) {
+        console.log(chalk.green(`✅ Schema "${schema.name}" created in "${target.name}"`))
+      }
+
+      const result = await copyRowsToRoom(sheet, target.sheet, copied.schema, fullRows, (targetSchema, json) => this.sheetOps.validateRowData(targetSchema, json))
+      console.log(chalk.green(`✅ ${result.copied} row(s) and ${result.attestations} signature(s) copied to "${target.name}"`))
+      result.invalid.forEach(({ uuid, errors }) => {
+        console.log(chalk.yellow(`   Skipped ${uuid}: ${errors.map(error => `${error.instancePath || '/'} ${error.message}`).join(', ')}`))
+      })
+    } catch (error) {
+      console.error(chalk.red('Error copying rows:'), error.message)
+    }
+
+    await this.waitForContinue()
+  }
+
+  /**
+   * Live list that re-runs the list options whenever the room updates.
+   * Rows that arrive while watching are highlighted, any key leaves.
+   */
+  async showWatchRows(sheet, schema, listOptions, filterLabel = '') {
+    const { getAvailableWidth, formatRowLine } = await import('../utils/display.mjs')
+    const startedAt = Date.now()
+    let knownIds = null
+    const newIds = new Set()
+    let lastUpdate = null
+    let error = null
+
+    const render = async () => {
+      try {
+        const rowState = await getRowState(sheet, schema.schemaId)
+        const rows = filterCurrentRows(await sheet.list(schema.schemaId, listOptions), rowState, { includeArchived: this.showArchived })
+
+        if (knownIds === null) {
+          knownIds = new Set(rows.map(row => row.uuid))
+        } else {
+          rows.forEach(row => {
+            if (!knownIds.has(row.uuid)) newIds.add(row.uuid)
+          })
+          lastUpdate = Date.now()
+        }
+        error = null
+
+        console.clear()
+        console.log(chalk.blue.bold(`👀 Watching Rows - Schema: ${schema.name} - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+        if (filterLabel) console.log(chalk.cyan(filterLabel))
+        console.log(chalk.cyan(`${rows.length} row(s), ${chalk.green(`${newIds.size} new`)} since ${new Date(startedAt).toLocaleTimeString()}${lastUpdate ? `, last update ${new Date(lastUpdate).toLocaleTimeString()}` : ''}\n`))
+
+        // Newest first, as many as fit on screen
+        const width = getAvailableWidth(12)
+        const visible = [...rows].sort((a, b) => b.time - a.time).slice(0, Math.max(5, (process.stdout.rows || 24) - 10))
+        visible.forEach(row => {
+          const time = new Date(row.time).toLocaleTimeString()
+          const line = `${time}  ${formatRowLine(row, width)}`
+          console.log(newIds.has(row.uuid) ? chalk.green(`★ ${line}`) : `  ${line}`)
+        })
+        if (rows.length > visible.length) {
+          console.log(chalk.cyan(`  ... ${rows.length - visible.length} older row(s)`))
+        }
+      } catch (err) {
+        error = err
+      }
+
+      if (error) console.log(chalk.red(`\nError refreshing rows: ${error.message}`))
+      console.log(chalk.yellow('\nWaiting for peers... press any key to stop watching'))
+    }
+
+    await render()
+    const stopWatching = watchSheet(sheet, render)
+
+    try {
+      await waitForKeypress()
+    } finally {
+      stopWatching()
+    }
+  }
+
+  async selectExportFormat(message, descriptions = {}) {
+    return select({
+      message,
+      choices: [
+        {
+          name: '📊 CSV',
+          value: 'csv',
+          description: descriptions.csv || 'Comma separated values'
+        },
+        {
+          name: '📄 NDJSON',
+          value: 'ndjson',
+          description: descriptions.ndjson || 'One JSON document per line'
+        },
+        {
+          name: '📗 XLSX',
+          value: 'xlsx',
+          description: descriptions.xlsx || 'Excel workbook with the same columns as the CSV'
+        },
+        {
+          name: chalk.cyan('← Cancel'),
+          value: 'cancel'
+        }
+      ]
+    })
+  }
+
+  async showExportResults(schema, rows, queryText) {
+    const format = await this.selectExportFormat(`Export ${rows.length} row(s) as:`, {
+      csv: 'One column per list view field, plus uuid and createdAt',
+      ndjson: 'One JSON document per line, can be imported again'
+    })
+
+    if (format === 'cancel') return
+
+    try {
+      const directory = await selectDirectory('Select a directory to export to:')
+
+      // Flatten by the list view columns when the query is a list view projection
+      const analysis = this.sheetOps.analyzeListViewQuery(queryText)
+      const columns = analysis.isValidListView ? analysis.columns : null
+
+      const filePath = await exportRows(rows, {
+        format,
+        directory,
+        baseName: schema.name,
+        columns
+      })
+
+      console.log(chalk.green(`✅ Exported ${rows.length} row(s) to ${filePath}`))
+    } catch (error) {
+      console.error(chalk.red('Error exporting rows:'), error.message)
+    }
+
+    await this.waitForContinue()
+  }
+
+  async showAggregateResults(schema, rows) {
+    const { numericFields, dateFields } = getAggregateFields(schema, rows)
+
+    const bucket = await select({
+      message: 'Group rows by:',
+      choices: [
+        { name: '🕐 Hour', value: 'hour' },
+        { name: '📅 Day', value: 'day' },
+        { name: '🗓️  Week', value: 'week', description: 'Weeks start on Monday' },
+        { name: '📆 Month', value: 'month' },
+        { name: chalk.cyan('← Cancel'), value: 'cancel' }
+      ],
+      default: 'day'
+    })
+
+    if (bucket === 'cancel') return
+
+    let timeField = null
+    if (dateFields.length > 0) {
+      timeField = await select({
+        message: 'Bucket by which time?',
+        choices: [
+          { name: '🕒 Row creation time', value: null },
+          ...dateFields.map(field => ({ name: `📅 ${field}`, value: field }))
+        ]
+      })
+    }
+
+    let fields = []
+    let metrics = METRICS
+    if (numericFields.length > 0) {
+      fields = await checkbox({
+        message: 'Numeric properties to aggregate (count is always shown):',
+        choices: numericFields.map(field => ({ name: field, value: field }))
+      })
+
+      if (fields.length > 0) {
+        metrics = await checkbox({
+          message: 'Metrics:',
+          choices: METRICS.map(metric => ({ name: metric, value: metric, checked: true })),
+          validate: (selected) => selected.length > 0 || 'Choose at least one metric'
+        })
+      }
+    }
+
+    const { buckets, skipped } = aggregateRows(rows, { bucket, timeField, fields })
+    const table = flattenAggregate(buckets, fields, metrics)
+
+    while (true) {
+      console.clear()
+      console.log(chalk.blue.bold(`📊 Aggregate - Schema: ${schema.name} - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+      console.log(chalk.cyan(`${rows.length} row(s) by ${bucket}, using ${timeField || 'row creation time'}\n`))
+
+      const records = table.lines.map(line => Object.fromEntries(table.header.map((key, i) => [key, line[i]])))
+      // The start column is only useful in exports
+      console.log(formatOutput(records, table.header.filter(key => key !== 'start'), 'table'))
+
+      if (skipped > 0) {
+        console.log(chalk.yellow(`\n${skipped} row(s) skipped, ${timeField} is missing or not a valid date`))
+      }
+      console.log('')
+
+      const action = await select({
+        message: 'What next?',
+        choices: [
+          { name: '📈 Charts', value: 'charts', description: 'Bar chart, sparkline and line charts of these buckets' },
+          { name: '💾 Export Report', value: 'export', description: 'Write this table to a CSV, NDJSON or XLSX file' },
+          { name: chalk.cyan('← Back to Results'), value: 'back' }
+        ]
+      })
+
+      if (action === 'back') return
+
+      if (action === 'charts') {
+        await this.showCharts(schema, rows, { bucket, timeField })
+        continue
+      }
+
+      const format = await this.selectExportFormat('Export report as:')
+      if (format === 'cancel') continue
+
+      try {
+        const directory = await selectDirectory('Select a directory to export to:')
+        const filePath = await exportTable(table, { format, directory, baseName: `${schema.name}-by-${bucket}` })
+        console.log(chalk.green(`✅ Exported ${table.lines.length} bucket(s) to ${filePath}`))
+      } catch (error) {
+        console.error(chalk.red('Error exporting report:'), error.message)
+      }
+      await this.waitForContinue()
+    }
+  }
+
+  async showTrends(sheet, schema, returnCallback) {
+    console.clear()
+    console.log(chalk.blue.bold(`📈 Activity Trends - Schema: ${schema.name} - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+
+    const ranges = getDateRanges()
+    const choice = await select({
+      message: 'Select date range:',
+      choices: [
+        { name: '📅 Today', value: 'today', description: 'Rows per hour today' },
+        { name: '📅 Yesterday', value: 'yesterday', description: 'Rows per hour yesterday' },
+        { name: '📅 This Week', value: 'thisWeek', description: 'Rows per day this week (Monday-Sunday)' },
+        { name: '📅 Last Week', value: 'lastWeek', description: 'Rows per day last week' },
+        { name: '📅 This Month', value: 'thisMonth', description: 'Rows per day this month' },
+        { name: '📅 Last Month', value: 'lastMonth', description: 'Rows per day last month' },
+        { name: '🚫 All Rows', value: 'none', description: 'Rows per day since the first row' },
+        { name: chalk.cyan('← Back to Row Menu'), value: 'back' }
+      ]
+    })
+
+    if (choice === 'back') {
+      return returnCallback(sheet, schema)
+    }
+
+    try {
+      const listOptions = choice === 'none' ? {} : { gte: ranges[choice].gte, lte: ranges[choice].lte }
+      const rowState = await getRowState(sheet, schema.schemaId)
+      const rows = filterCurrentRows(await sheet.list(schema.schemaId, listOptions), rowState, { includeArchived: this.showArchived })
+
+      if (rows.length === 0) {
+        console.log(chalk.yellow('No rows found in the selected date range.'))
+        await this.waitForContinue()
+        return this.showTrends(sheet, schema, returnCallback)
+      }
+
+      const bucket = choice === 'today' || choice === 'yesterday' ? 'hour' : 'day'
+      const title = choice === 'none' ? 'All rows' : formatDateRange(choice, listOptions.gte, listOptions.lte)
+      await this.showCharts(schema, rows, { bucket, title, from: listOptions.gte, to: listOptions.lte })
+    } catch (error) {
+      console.error(chalk.red('Error loading rows:'), error.message)
+      await this.waitForContinue()
+    }
+
+    return this.showTrends(sheet, schema, returnCallback)
+  }
+
+  async showCharts(schema, rows, { bucket = 'day', timeField = null, title = '', from = null, to = null } = {}) {
+    const { getAvailableWidth } = await import('../utils/display.mjs')
+    const { numericFields } = getAggregateFields(schema, rows)
+    let chartField = null
+
+    while (true) {
+      console.clear()
+      console.log(chalk.blue.bold(`📈 Charts - Schema: ${schema.name} - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+      if (title) console.log(chalk.cyan(title))
+      console.log(chalk.cyan(`${rows.length} row(s) by ${bucket}, using ${timeField || 'row creation time'}\n`))
+
+      const width = getAvailableWidth(4)
+      const { buckets } = aggregateRows(rows, { bucket, timeField, fields: chartField ? [chartField] : [], from, to })
+      const labels = buckets.map(entry => entry.label)
+      const counts = buckets.map(entry => entry.count)
+
+      if (chartField) {
+        console.log(chalk.blue(`Average ${chartField} per ${bucket}\n`))
+        console.log(renderLineChart(buckets.map(entry => entry.fields[chartField].avg), {
+          width,
+          height: Math.max(6, Math.min(15, (process.stdout.rows || 24) - 14)),
+          firstLabel: labels[0],
+          lastLabel: labels[labels.length - 1]
+        }))
+      } else {
+        console.log(chalk.blue(`Rows per ${bucket}\n`))
+        console.log(renderSparkline(counts, width))
+        console.log('')
+        // One bar per line only fits when there are not too many buckets
+        if (buckets.length <= Math.max(10, (process.stdout.rows || 24) - 12)) {
+          console.log(renderBarChart(labels, counts, width))
+        } else {
+          console.log(chalk.yellow(`${buckets.length} ${bucket}s is too many for a bar chart, showing the sparkline only`))
+        }
+      }
+      console.log('')
+
+      const choices = []
+      if (chartField) {
+        choices.push({ name: '📊 Rows per ' + bucket, value: 'counts', description: 'Sparkline and bar chart of row counts' })
+      }
+      numericFields.filter(field => field !== chartField).forEach(field => {
+        choices.push({ name: `📉 Line Chart: ${field}`, value: `field-${field}`, description: `Average ${field} per ${bucket}` })
+      })
+      choices.push({ name: chalk.cyan('← Back'), value: 'back' })
+
+      const action = await select({ message: 'Chart:', choices })
+
+      if (action === 'back') return
+      chartField = action === 'counts' ? null : action.replace('field-', '')
+    }
+  }
+
   async showRowActions(sheet, schema, row, returnCallback, filterContext = null) {
     const { showRowActionsMenu, displayJsonWithFallback, copyToClipboard } = await import('../utils/display.mjs')
     
     while (true) {
-      const action = await showRowActionsMenu(row, this.roomManager.getCurrentRoomName())
+      const rowState = await getRowState(sheet, schema.schemaId)
+      const tombstone = getTombstone(rowState, row.uuid)
+      const action = await showRowActionsMenu(row, this.roomManager.getCurrentRoomName(), tombstone, this.roomManager.isReadOnly(), this.getCopyTargets().length > 0)
       
       switch (action) {
         case 'view':
@@ -390,9 +857,44 @@ export class RowMenu extends BaseMenu {
           // Continue the loop to show actions menu again
           break
           
+        case 'edit': {
+          const revision = await this.showEditRow(sheet, schema, row)
+          if (revision) {
+            row = revision
+          }
+          break
+        }
+
+        case 'history':
+          await this.showRowHistory(sheet, schema, row)
+          break
+
         case 'signatures':
           await this.showRowSignatures(sheet, schema, row, returnCallback, filterContext)
           break
+
+        case 'archive':
+        case 'delete': {
+          const removed = await this.showTombstoneRow(sheet, schema, row, action)
+          if (removed && !this.showArchived) {
+            // The row is now hidden, so go back to the list
+            if (filterContext) {
+              return this.showFilteredRowList(sheet, schema, filterContext.filter, filterContext.filterType, filterContext.jmesQuery, returnCallback)
+            }
+            return returnCallback(sheet, schema)
+          }
+          break
+        }
+
+        case 'restore':
+          try {
+            await restoreRow(sheet, schema, row, this.getAuthor())
+            console.log(chalk.green('✅ Row restored'))
+          } catch (error) {
+            console.error(chalk.red('Error restoring row:'), error.message)
+          }
+          await this.waitForContinue()
+          break
           
         case 'copy':
           try {
@@ -407,6 +909,10 @@ export class RowMenu extends BaseMenu {
           }
           // Continue the loop to show actions menu again
           break
+
+        case 'copy-to-room':
+          await this.showCopyRowsToRoom(sheet, schema, [row])
+          break
           
         case 'back':
           // If we have filter context, return to the filtered view
@@ -437,7 +943,12 @@ export class RowMenu extends BaseMenu {
       {
         name: '📄 JSON File',
         value: 'file',
-        description: 'Select a JSON file from your computer'
+        description: 'Select a JSON object, JSON array or NDJSON file from your computer'
+      },
+      {
+        name: '📊 CSV / TSV File',
+        value: 'csv',
+        description: 'Import many rows from a spreadsheet export'
       },
       {
         name: chalk.cyan('← Back to Row Menu'),
@@ -455,6 +966,16 @@ export class RowMenu extends BaseMenu {
       return this.showWebForm(sheet, schema, returnCallback)
     }
 
+    if (method === 'csv') {
+      try {
+        await this.sheetOps.importRowsFromCsv(sheet, schema)
+      } catch (error) {
+        console.error(chalk.red('Error importing rows:'), error.message)
+      }
+      await this.waitForContinue()
+      return returnCallback(sheet, schema)
+    }
+
     // File method
     try {
       const result = await this.sheetOps.addRowFromFile(sheet, schema)
@@ -474,14 +995,18 @@ export class RowMenu extends BaseMenu {
     }
   }
 
-  async showWebForm(sheet, schema, returnCallback) {
+  /**
+   * Serve the schema as a web form and wait for it to be submitted or cancelled.
+   * Pass formData to pre-fill the form with an existing row.
+   */
+  async runWebForm(sheet, schema, formData = null) {
     const webServer = new WebFormServer()
-    
+
     try {
       console.log(chalk.blue('Starting web form server...'))
       const port = await webServer.start()
       
-      const { sessionId, promise } = await webServer.createFormSession(schema.schemaId, schema.jsonSchema, sheet)
+      const { sessionId, promise } = await webServer.createFormSession(schema.schemaId, schema.jsonSchema, sheet, formData)
       const url = `http://localhost:${port}/?session=${sessionId}&schema=${schema.schemaId}`
       
       console.log(chalk.green(`✅ Web form ready at: ${url}`))
@@ -493,7 +1018,16 @@ export class RowMenu extends BaseMenu {
       spawn(openCommand, [url], { detached: true, stdio: 'ignore' })
       
       // Wait for form completion
-      const result = await promise
+      return await promise
+    } finally {
+      await webServer.stop()
+      console.log(chalk.cyan('Web server stopped'))
+    }
+  }
+
+  async showWebForm(sheet, schema, returnCallback) {
+    try {
+      const result = await this.runWebForm(sheet, schema)
       
       if (result.cancelled) {
         console.log(chalk.yellow('Form cancelled'))
@@ -519,12 +1053,265 @@ export class RowMenu extends BaseMenu {
       console.error(chalk.red('Error with web form:'), error.message)
       await this.waitForContinue()
       return returnCallback(sheet, schema)
-    } finally {
-      await webServer.stop()
-      console.log(chalk.cyan('Web server stopped'))
     }
   }
 
+  /**
+   * Edit a row in the web form or $EDITOR and save it as a new revision
+   * @returns {Object|null} The new revision row, or null if nothing changed
+   */
+  async showEditRow(sheet, schema, row) {
+    console.clear()
+    console.log(chalk.blue.bold(`✏️ Edit Row - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+    console.log(chalk.cyan(`Schema: ${schema.name}`))
+    console.log(chalk.cyan(`Row UUID: ${row.uuid}\n`))
+
+    const method = await select({
+      message: 'How would you like to edit the row?',
+      choices: [
+        {
+          name: '🌐 Web Form',
+          value: 'web',
+          description: 'Edit the row in a web-based form (opens in browser)'
+        },
+        {
+          name: '📝 Text Editor',
+          value: 'editor',
+          description: 'Edit the row JSON in $EDITOR'
+        },
+        {
+          name: chalk.cyan('← Back to Row Actions'),
+          value: 'back'
+        }
+      ]
+    })
+
+    if (method === 'back') {
+      return null
+    }
+
+    try {
+      let editedData
+
+      if (method === 'web') {
+        const result = await this.runWebForm(sheet, schema, row.json)
+        if (result.cancelled || !result.data) {
+          console.log(chalk.yellow('Form cancelled'))
+          await this.waitForContinue()
+          return null
+        }
+        editedData = result.data
+      } else {
+        const result = await this.sheetOps.editRowInEditor(schema, row)
+        if (!result.updated) {
+          if (result.error) {
+            console.log(chalk.red(result.error))
+          } else {
+            console.log(chalk.cyan(result.message || 'No changes detected in row'))
+          }
+          await this.waitForContinue()
+          return null
+        }
+        editedData = result.data
+      }
+
+      const { valid, errors } = this.sheetOps.validateRowData(schema, editedData)
+      if (!valid) {
+        console.log(chalk.red('\n❌ JSON validation failed against schema!'))
+        console.log(chalk.yellow('\nValidation errors:'))
+        errors.forEach((error, index) => {
+          console.log(chalk.red(`  ${index + 1}. ${error.instancePath || 'root'}: ${error.message}`))
+        })
+        console.log(chalk.cyan('\nNo revision was written.'))
+        await this.waitForContinue()
+        return null
+      }
+
+      console.log(chalk.cyan('\nEdited JSON Preview:'))
+      console.log(JSON.stringify(editedData, null, 2))
+
+      const confirmSave = await confirm({
+        message: 'Save these changes as a new revision?',
+        default: true
+      })
+
+      if (!confirmSave) {
+        console.log(chalk.yellow('Edit cancelled - no changes made'))
+        await this.waitForContinue()
+        return null
+      }
+
+      const rowId = await addRowRevision(sheet, schema, row, editedData, this.getAuthor())
+      console.log(chalk.green(`✅ Revision saved with ID: ${rowId}`))
+
+      await this.signRowIfConfigured(sheet, schema, rowId, editedData)
+      await this.waitForContinue()
+
+      return await sheet.getRow(schema.schemaId, rowId)
+    } catch (error) {
+      console.error(chalk.red('Error editing row:'), error.message)
+      await this.waitForContinue()
+      return null
+    }
+  }
+
+  /**
+   * Archive or delete a row by writing a tombstone
+   * @returns {boolean} true if the tombstone was written
+   */
+  async showTombstoneRow(sheet, schema, row, action) {
+    const isDelete = action === 'delete'
+    console.clear()
+    console.log(chalk.blue.bold(`${isDelete ? '🗑️ Delete' : '🗄️ Archive'} Row - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+    console.log(chalk.cyan(`Schema: ${schema.name}`))
+    console.log(chalk.cyan(`Row UUID: ${row.uuid}\n`))
+
+    if (isDelete) {
+      console.log(chalk.yellow('⚠️ Deleted rows are hidden permanently. The removal is recorded in the room audit trail.\n'))
+    } else {
+      console.log(chalk.cyan('Archived rows are hidden from lists and can be restored later.\n'))
+    }
+
+    const confirmed = await confirm({
+      message: `Are you sure you want to ${action} this row?`,
+      default: false
+    })
+
+    if (!confirmed) {
+      console.log(chalk.yellow(`${isDelete ? 'Deletion' : 'Archive'} cancelled`))
+      await this.waitForContinue()
+      return false
+    }
+
+    try {
+      const reason = await input({
+        message: 'Reason (optional):'
+      })
+
+      await addRowTombstone(sheet, schema, row, action, this.getAuthor(), reason.trim() || undefined)
+      console.log(chalk.green(`✅ Row ${isDelete ? 'deleted' : 'archived'}`))
+      await this.waitForContinue()
+      return true
+    } catch (error) {
+      console.error(chalk.red(`Error trying to ${action} row:`), error.message)
+      await this.waitForContinue()
+      return false
+    }
+  }
+
+  async showRowHistory(sheet, schema, row) {
+    while (true) {
+      console.clear()
+      console.log(chalk.blue.bold(`🕘 Row History - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+      console.log(chalk.cyan(`Schema: ${schema.name}`))
+      console.log(chalk.cyan(`Row UUID: ${row.uuid}\n`))
+
+      let history, auditTrail
+      try {
+        history = await getRowHistory(sheet, schema, row.uuid)
+        auditTrail = await getRowAuditTrail(sheet, schema, row.uuid)
+      } catch (error) {
+        console.error(chalk.red('Error loading row history:'), error.message)
+        await this.waitForContinue()
+        return
+      }
+
+      if (history.length === 1) {
+        console.log(chalk.yellow('This row has not been edited.\n'))
+      }
+
+      if (history.some(revision => revision.concurrentWith.length > 0)) {
+        console.log(chalk.yellow('⚠️  Some revisions were made at the same time from the same previous revision.'))
+        console.log(chalk.yellow('   The newest is current, the others were superseded without being merged, check them for lost changes.\n'))
+      }
+
+      const choices = history.map((revision, index) => {
+        const time = revision.time ? new Date(revision.time).toLocaleString() : 'unknown time'
+        const author = this.formatRevisionAuthor(revision)
+        const current = revision.isCurrent ? chalk.green(' ← current') : ''
+        const concurrent = revision.concurrentWith.length > 0 ? chalk.yellow(' ⚠️ concurrent edit') : ''
+        return {
+          name: `${String(index + 1).padStart(3)}. ${time} - ${revision.isOriginal ? 'original by ' : ''}${author}${current}${concurrent}`,
+          value: revision.uuid,
+          description: `Revision UUID: ${revision.uuid}`
+        }
+      })
+
+      if (auditTrail.length > 0) {
+        choices.push({
+          name: chalk.cyan('--- Audit Trail ---'),
+          value: 'separator-audit',
+          disabled: ''
+        })
+        auditTrail.forEach(event => {
+          const verb = event.type === 'restore' ? '♻️  Restored' : event.action === 'delete' ? '🗑️  Deleted' : '🗄️  Archived'
+          const keet = event.keetUsername ? ` (${event.keetUsername})` : ''
+          const reason = event.reason ? ` - ${event.reason}` : ''
+          choices.push({
+            name: `${verb} by ${event.author || 'unknown'}${keet} on ${new Date(event.time).toLocaleString()}${reason}`,
+            value: `audit-${event.eventId}`,
+            disabled: ''
+          })
+        })
+      }
+
+      choices.push({
+        name: chalk.cyan('← Back to Row Actions'),
+        value: 'back'
+      })
+
+      const choice = await select({
+        message: `Select a revision to view (${history.length} total):`,
+        choices,
+        pageSize: 15
+      })
+
+      if (choice === 'back') {
+        return
+      }
+
+      // Separators and audit entries are informational
+      if (choice.startsWith('separator-') || choice.startsWith('audit-')) {
+        continue
+      }
+
+      const revision = history.find(entry => entry.uuid === choice)
+      if (!revision) {
+        continue
+      }
+      console.clear()
+      console.log(chalk.blue.bold(`👁️ Revision JSON - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+      console.log(chalk.cyan(`Revision UUID: ${revision.uuid}`))
+      console.log(chalk.cyan(`Author: ${this.formatRevisionAuthor(revision)}`))
+      if (revision.identity) {
+        console.log(chalk.cyan(`Signer identity: ${revision.identity}`))
+      }
+      if (revision.previousId) {
+        console.log(chalk.cyan(`Previous revision: ${revision.previousId}`))
+      }
+      if (revision.concurrentWith.length > 0) {
+        console.log(chalk.yellow(`⚠️  Edited at the same time as: ${revision.concurrentWith.join(', ')}`))
+      }
+      console.log('')
+      await displayJsonWithFallback(revision.json, 'Revision JSON')
+    }
+  }
+
+  /**
+   * Who wrote a revision: the room username from its revision event, or the
+   * Keet username of its first valid signature
+   */
+  formatRevisionAuthor(revision) {
+    if (revision.authorSource === 'event') {
+      const keet = revision.keetUsername ? ` (${revision.keetUsername})` : ''
+      return `${revision.author || 'unknown author'}${keet}`
+    }
+    if (revision.authorSource === 'signature') {
+      return `${revision.keetUsername || 'unnamed signer'} (from signature ${revision.identity.slice(0, 8)}...)`
+    }
+    return 'unknown author (unsigned)'
+  }
+
   async showEditSchema(sheet, schema, returnCallback) {
     const title = `✏️ Edit Schema: ${schema.name} - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}`
     
@@ -1301,6 +2088,113 @@ export class RowMenu extends BaseMenu {
     }
   }
 
+  async showVerifySignatures(sheet, schema, returnCallback) {
+    console.clear()
+    console.log(chalk.blue.bold(`🔏 Verify All Signatures - Schema: ${schema.name} - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
+
+    const ranges = getDateRanges()
+    const choice = await select({
+      message: 'Which rows?',
+      choices: [
+        { name: '🚫 All Rows', value: 'none' },
+        { name: '📅 Today', value: 'today' },
+        { name: '📅 Yesterday', value: 'yesterday' },
+        { name: '📅 This Week', value: 'thisWeek' },
+        { name: '📅 Last Week', value: 'lastWeek' },
+        { name: '📅 This Month', value: 'thisMonth' },
+        { name: '📅 Last Month', value: 'lastMonth' },
+        { name: chalk.cyan('← Back to Row Menu'), value: 'back' }
+      ]
+    })
+
+    if (choice === 'back') {
+      return returnCallback(sheet, schema)
+    }
+
+    let report
+    try {
+      const listOptions = choice === 'none' ? {} : { gte: ranges[choice].gte, lte: ranges[choice].lte }
+      const rowState = await getRowState(sheet, schema.schemaId)
+      const rows = filterCurrentRows(await sheet.list(schema.schemaId, listOptions), rowState, { includeArchived: this.showArchived })
+      const range = choice === 'none' ? 'All rows' : formatDateRange(choice, listOptions.gte, listOptions.lte)
+
+      report = await buildSignatureReport(sheet, schema, rows, {
+        range,
+        onProgress: (done, total) => {
+          if (done % 50 === 0 || done === total) console.log(chalk.blue(`🔄 Verified ${done}/${total} row(s)`))
+        }
+      })
+    } catch (error) {
+      console.error(chalk.red('Error verifying signatures:'), error.message)
+      await this.waitForContinue()
+      return returnCallback(sheet, schema)
+    }
+
+    while (true) {
+      console.clear()
+      console.log(chalk.blue.bold(`🔏 Signature Report - Schema: ${schema.name}\n`))
+      console.log(chalk.cyan(`Rows: ${report.range}`))
+      console.log(`${report.totals.rows} row(s): ${chalk.green(`${report.totals.valid} valid`)}, ${chalk.red(`${report.totals.invalid} invalid`)}, ${chalk.yellow(`${report.totals.unsigned} unsigned`)}\n`)
+
+      if (report.identities.length > 0) {
+        const table = new Table({ head: ['Identity', 'Pinned As', 'Claimed Keet Username', 'Valid', 'Invalid', 'Rows'] })
+        report.identities.forEach(entry => {
+          table.push([
+            entry.identity === 'unverified' ? chalk.red('Unverified') : `${entry.identity.slice(0, 12)}...`,
+            entry.pinnedName ? this.formatPinnedName({ name: entry.pinnedName, trustLevel: entry.trustLevel }) : chalk.gray('-'),
+            entry.keetUsernames.join(', ') || '-',
+            chalk.green(entry.valid),
+            entry.invalid > 0 ? chalk.red(entry.invalid) : 0,
+            entry.rows.length
+          ])
+        })
+        console.log(table.toString())
+      }
+
+      const invalidRows = report.rows.filter(row => row.status === 'invalid')
+      if (invalidRows.length > 0) {
+        console.log(chalk.red('\nRows with invalid signatures:'))
+        invalidRows.slice(0, 10).forEach(row => console.log(chalk.red(`  ✗ ${row.uuid} (${new Date(row.createdAt).toLocaleString()})`)))
+        if (invalidRows.length > 10) {
+          console.log(chalk.red(`  ... ${invalidRows.length - 10} more, export the report for the full list`))
+        }
+      }
+
+      const warnings = report.rows.reduce((total, row) => total + row.signatures.filter(signature => signature.warning).length, 0)
+      if (warnings > 0) {
+        console.log(chalk.yellow(`\n⚠️  ${warnings} signature(s) declare a username that does not match your trusted identities, see the warning column of the export`))
+      }
+
+      const legacy = report.rows.reduce((total, row) => total + row.signatures.filter(signature => signature.encoding === 'legacy').length, 0)
+      if (legacy > 0) {
+        console.log(chalk.yellow(`\n${legacy} valid signature(s) use the legacy encoding`))
+      }
+      console.log('')
+
+      const action = await select({
+        message: 'What next?',
+        choices: [
+          { name: '💾 Export as JSON', value: 'json', description: 'Full report with every signature' },
+          { name: '📊 Export as CSV', value: 'csv', description: 'One line per signature and per unsigned row' },
+          { name: chalk.cyan('← Back to Row Menu'), value: 'back' }
+        ]
+      })
+
+      if (action === 'back') {
+        return returnCallback(sheet, schema)
+      }
+
+      try {
+        const directory = await selectDirectory('Select a directory to export to:')
+        const filePath = await exportSignatureReport(report, { format: action, directory, baseName: `${schema.name}-signatures` })
+        console.log(chalk.green(`✅ Report written to ${filePath}`))
+      } catch (error) {
+        console.error(chalk.red('Error exporting report:'), error.message)
+      }
+      await this.waitForContinue()
+    }
+  }
+
   async showRowSignatures(sheet, schema, row, returnCallback, filterContext = null) {
     console.clear()
     console.log(chalk.blue.bold(`🔏 Row Signatures - Room: ${this.roomManager.getCurrentRoomName() || 'Unknown'}\n`))
@@ -1320,8 +2214,8 @@ export class RowMenu extends BaseMenu {
 
       console.log(chalk.cyan(`Found ${attestations.length} signature(s):\n`))
 
-      // Prepare the message for verification (same as what was signed)
-      const message = b4a.from(JSON.stringify(row.json))
+      const trustedIdentities = loadTrustedIdentities()
+      const signers = new Map()
 
       // Display each attestation with verification status
       for (let i = 0; i < attestations.length; i++) {
@@ -1330,27 +2224,76 @@ export class RowMenu extends BaseMenu {
         console.log(chalk.cyan(`  Time: ${new Date(attestation.time).toLocaleString()}`))
         
         if (attestation.keetUsername) {
-          console.log(chalk.cyan(`  Keet Username: ${attestation.keetUsername}`))
+          console.log(chalk.cyan(`  Keet Username: ${attestation.keetUsername}`) + chalk.gray(' (self-declared)'))
         }
 
-        // Verify the attestation
-        try {
-          const messageInfo = IdentityKey.verify(attestation.proof, message)
-          
-          if (messageInfo) {
-            console.log(chalk.green(`  Status: ✓ Valid signature`))
-            console.log(chalk.cyan(`  Identity: ${Id.encode(messageInfo.identityPublicKey)}`))
+        // Verify the attestation against the canonical JSON, or the legacy encoding
+        const verification = verifyRowAttestation(attestation.proof, row.json)
+        if (verification.valid) {
+          const identity = Id.encode(verification.identityPublicKey)
+          const { pinned, nameMismatch, impersonates } = checkSigner(identity, attestation.keetUsername, trustedIdentities)
+          const legacy = verification.encoding === SIGNATURE_ENCODINGS.legacy ? chalk.yellow(' (legacy encoding)') : ''
+
+          if (pinned) {
+            console.log(chalk.green('  Status: ✓ Valid – ') + this.formatPinnedName(pinned) + legacy)
           } else {
-            console.log(chalk.red(`  Status: ✗ Invalid signature`))
+            console.log(chalk.green('  Status: ✓ Valid') + chalk.gray(' – identity not pinned') + legacy)
           }
-        } catch (error) {
-          console.log(chalk.red(`  Status: ✗ Verification error: ${error.message}`))
+          if (legacy) {
+            console.log(chalk.yellow('  Signed before canonical JSON, it only verifies while the row keeps its original key order'))
+          }
+          console.log(chalk.cyan(`  Identity: ${identity}`))
+
+          if (nameMismatch) {
+            console.log(chalk.yellow(`  ⚠️  Declared username "${attestation.keetUsername}" does not match the name you pinned for this key`))
+          }
+          impersonates.forEach(other => {
+            console.log(chalk.red(`  ⚠️  "${other.name}" is pinned to another identity (${other.identity.slice(0, 12)}...), this signer is not them`))
+          })
+
+          if (!signers.has(identity)) signers.set(identity, { identity, keetUsername: attestation.keetUsername, pinned })
+        } else if (verification.error) {
+          console.log(chalk.red(`  Status: ✗ Verification error: ${verification.error}`))
+        } else {
+          console.log(chalk.red(`  Status: ✗ Invalid signature`))
         }
         
         console.log('') // Empty line between signatures
       }
 
-      await this.waitForContinue()
+      if (signers.size === 0) {
+        await this.waitForContinue()
+        return this.showRowActions(sheet, schema, row, returnCallback, filterContext)
+      }
+
+      const action = await select({
+        message: 'What next?',
+        choices: [
+          { name: '📌 Pin a Signer\'s Identity', value: 'pin', description: 'Save a signer\'s key under a name you checked, in your trusted identities' },
+          { name: chalk.cyan('← Back to Row Actions'), value: 'back' }
+        ]
+      })
+
+      if (action === 'pin') {
+        const identity = await select({
+          message: 'Which signer?',
+          choices: [
+            ...[...signers.values()].map(signer => ({
+              name: `${signer.pinned ? this.formatPinnedName(signer.pinned) : signer.keetUsername || 'Unknown'} - ${signer.identity.slice(0, 12)}...`,
+              value: signer.identity
+            })),
+            { name: chalk.cyan('← Cancel'), value: 'cancel' }
+          ]
+        })
+
+        if (identity !== 'cancel') {
+          const pinned = await this.promptPinIdentity(identity, signers.get(identity).keetUsername || '')
+          console.log(chalk.green(`✅ Pinned ${identity.slice(0, 12)}... as ${pinned.name}`))
+          await this.waitForContinue()
+        }
+        return this.showRowSignatures(sheet, schema, row, returnCallback, filterContext)
+      }
+
       return this.showRowActions(sheet, schema, row, returnCallback, filterContext)
 
     } catch (error) {
@@ -0,0 +1,340 @@
+import fs from 'fs'
+import { join } from 'path'
+import z32 from 'z32'
+import b4a from 'b4a'
+import sodium from 'sodium-native'
+import crypto from 'hypercore-crypto'
+import Protomux from 'protomux'
+import c from 'compact-encoding'
+
+/**
+ * Invite links carry a random secret instead of the room keys. The inviter's
+ * CLI announces each open invite on the swarm under a topic derived from the
+ * secret. A joiner connects to it and proves it holds the secret, bound to
+ * the connection so other peers cannot replay it, and gets the room link back.
+ */
+
+export const INVITE_PROTOCOL = 'schema-sheets/invite'
+
+const INVITE_LINK_TAG = 0x69
+const INVITE_LINK_VERSION = 1
+const SECRET_LENGTH = 32
+const INVITE_LINK_LENGTH = 2 + SECRET_LENGTH
+
+const REDEEM_TIMEOUT = 60 * 1000
+
+export const INVITE_EXPIRY_OPTIONS = [
+  { name: '1 hour', value: 60 * 60 * 1000 },
+  { name: '1 day', value: 24 * 60 * 60 * 1000 },
+  { name: '7 days', value: 7 * 24 * 60 * 60 * 1000 },
+  { name: 'Never', value: null }
+]
+
+/**
+ * Check if a pasted link is an invite rather than a room link
+ */
+export function isInviteLink(link) {
+  try {
+    const decoded = z32.decode(link.trim())
+    return decoded.length === INVITE_LINK_LENGTH && decoded[0] === INVITE_LINK_TAG
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Decode an invite link
+ * @returns {Object} { secret, inviteId } where inviteId is also the swarm topic
+ */
+export function parseInviteLink(link) {
+  if (!isInviteLink(link)) {
+    throw new Error('Invalid invite link format')
+  }
+
+  const decoded = z32.decode(link.trim())
+  if (decoded[1] > INVITE_LINK_VERSION) {
+    throw new Error(`Invite link version ${decoded[1]} is newer than this app supports, please upgrade`)
+  }
+
+  const secret = decoded.subarray(2)
+  return { secret, inviteId: crypto.discoveryKey(secret) }
+}
+
+function generateInviteLink(secret) {
+  return z32.encode(b4a.concat([b4a.from([INVITE_LINK_TAG, INVITE_LINK_VERSION]), secret]))
+}
+
+/**
+ * Proof of holding the secret, only valid on this one connection
+ */
+function createProof(secret, connection) {
+  const proof = b4a.alloc(32)
+  sodium.crypto_generichash(proof, connection.handshakeHash, secret)
+  return proof
+}
+
+/**
+ * @returns {string} 'active', 'expired', 'used' or 'revoked'
+ */
+export function getInviteStatus(invite, now = Date.now()) {
+  if (invite.revokedAt) return 'revoked'
+  if (invite.maxUses && invite.uses >= invite.maxUses) return 'used'
+  if (invite.expiresAt && now >= invite.expiresAt) return 'expired'
+  return 'active'
+}
+
+export class InviteManager {
+  constructor(swarm, lobby, storagePath) {
+    this.swarm = swarm
+    this.lobby = lobby
+    this.invitesFile = join(storagePath, 'invites.json')
+    this.served = new Set()
+    this.redemptions = new Set()
+  }
+
+  loadInvites() {
+    try {
+      return JSON.parse(fs.readFileSync(this.invitesFile, 'utf8'))
+    } catch (error) {
+      return []
+    }
+  }
+
+  saveInvites(invites) {
+    fs.writeFileSync(this.invitesFile, JSON.stringify(invites, null, 2))
+  }
+
+  /**
+   * Invites minted for a room, newest first
+   * @param {string} roomKey - z32 room key
+   */
+  listInvites(roomKey) {
+    return this.loadInvites()
+      .filter(invite => invite.roomKey === roomKey)
+      .sort((a, b) => b.createdAt - a.createdAt)
+  }
+
+  /**
+   * Mint an invite for a room and start answering it on the swarm
+   * @param {Object} room - { key, petName } of the room, key is z32
+   * @param {Object} options - { role, expiresIn, singleUse }
+   * @returns {Object} { invite, link }
+   */
+  async createInvite(room, { role = 'writer', expiresIn = null, singleUse = true } = {}) {
+    if (!expiresIn && !singleUse) {
+      throw new Error('An invite must expire or be single use')
+    }
+
+    const secret = crypto.randomBytes(SECRET_LENGTH)
+    const createdAt = Date.now()
+    const invite = {
+      id: b4a.toString(crypto.discoveryKey(secret), 'hex'),
+      secret: z32.encode(secret),
+      roomKey: room.key,
+      petName: room.petName,
+      role,
+      createdAt,
+      expiresAt: expiresIn ? createdAt + expiresIn : null,
+      maxUses: singleUse ? 1 : null,
+      uses: 0,
+      redeemedAt: [],
+      revokedAt: null
+    }
+
+    this.saveInvites([...this.loadInvites(), invite])
+    await this.serve()
+
+    return { invite, link: generateInviteLink(secret) }
+  }
+
+  async revokeInvite(id) {
+    const invites = this.loadInvites()
+    const invite = invites.find(entry => entry.id === id)
+    if (!invite) {
+      throw new Error('Invite not found')
+    }
+
+    invite.revokedAt = Date.now()
+    this.saveInvites(invites)
+    await this.serve()
+    return invite
+  }
+
+  /**
+   * Forget expired, used and revoked invites of a room
+   * @returns {number} How many were removed
+   */
+  async removeFinishedInvites(roomKey) {
+    const invites = this.loadInvites()
+    const kept = invites.filter(invite => invite.roomKey !== roomKey || getInviteStatus(invite) === 'active')
+    this.saveInvites(kept)
+    return invites.length - kept.length
+  }
+
+  /**
+   * Announce every active invite on the swarm, and stop announcing the rest
+   */
+  async serve() {
+    const active = new Set(this.loadInvites().filter(invite => getInviteStatus(invite) === 'active').map(invite => invite.id))
+
+    for (const id of active) {
+      if (this.served.has(id)) continue
+      this.swarm.join(b4a.from(id, 'hex'), { server: true, client: false })
+      this.served.add(id)
+    }
+
+    for (const id of [...this.served]) {
+      if (active.has(id)) continue
+      this.served.delete(id)
+      await this.swarm.leave(b4a.from(id, 'hex'))
+    }
+  }
+
+  /**
+   * Hook a new swarm connection up to the invite protocol, both to answer
+   * redemptions and to try any redemption of our own that is waiting
+   */
+  attach(connection) {
+    const mux = Protomux.from(connection)
+    mux.pair({ protocol: INVITE_PROTOCOL }, () => this._answer(mux, connection))
+
+    for (const redemption of this.redemptions) {
+      redemption(connection)
+    }
+  }
+
+  _answer(mux, connection) {
+    const channel = mux.createChannel({
+      protocol: INVITE_PROTOCOL,
+      messages: [{
+        encoding: c.json,
+        onmessage: async message => {
+          const reply = await this._redeem(connection, message).catch(error => ({ type: 'error', code: 'failed', message: error.message }))
+          channel.messages[0].send(reply)
+        }
+      }]
+    })
+    if (channel === null) return
+    channel.open()
+  }
+
+  async _redeem(connection, message) {
+    const unknown = { type: 'error', code: 'unknown', message: 'Unknown invite' }
+    if (!message || message.type !== 'redeem' || typeof message.inviteId !== 'string' || typeof message.proof !== 'string') {
+      return unknown
+    }
+
+    const found = this.loadInvites().find(entry => entry.id === message.inviteId)
+    if (!found) return unknown
+
+    const expected = createProof(z32.decode(found.secret), connection)
+    const proof = b4a.from(message.proof, 'hex')
+    if (proof.length !== expected.length || !sodium.sodium_memcmp(proof, expected)) {
+      return unknown
+    }
+
+    const room = await this.resolveRoom(found.roomKey)
+    if (!room) {
+      return { type: 'error', code: 'room', message: 'The inviter no longer has this room' }
+    }
+
+    // Check and count the use without yielding, so a single use invite is only granted once
+    const invites = this.loadInvites()
+    const invite = invites.find(entry => entry.id === message.inviteId)
+    const status = invite ? getInviteStatus(invite) : 'revoked'
+    if (status !== 'active') {
+      return { type: 'error', code: status, message: `This invite has been ${status === 'used' ? 'used already' : status}` }
+    }
+
+    invite.uses++
+    invite.redeemedAt.push(Date.now())
+    this.saveInvites(invites)
+
+    if (getInviteStatus(invite) !== 'active') {
+      this.serve().catch(() => {})
+    }
+
+    return {
+      type: 'grant',
+      link: this.lobby.generateRoomLink(z32.decode(room.key), z32.decode(room.encryptionKey), invite.role),
+      petName: room.petName
+    }
+  }
+
+  /**
+   * Find the room record to hand out, following key rotations
+   */
+  async resolveRoom(roomKey) {
+    let room = await this.lobby.getRoomByKey(b4a.toString(z32.decode(roomKey), 'hex'))
+    while (room && room.rotatedTo) {
+      room = await this.lobby.getRoomByKey(b4a.toString(z32.decode(room.rotatedTo), 'hex'))
+    }
+    return room
+  }
+
+  /**
+   * Redeem an invite link with whichever online peer holds it
+   * @param {string} link - Invite link
+   * @param {Object} options - { timeout } in milliseconds
+   * @returns {Promise<Object>} { link, petName } where link is the room link to join with
+   */
+  redeemInvite(link, { timeout = REDEEM_TIMEOUT } = {}) {
+    const { secret, inviteId } = parseInviteLink(link)
+
+    return new Promise((resolve, reject) => {
+      const tried = new Set()
+      let timer = null
+
+      const finish = (error, grant) => {
+        if (!this.redemptions.has(redemption)) return
+        clearTimeout(timer)
+        this.redemptions.delete(redemption)
+        this.swarm.leave(inviteId).catch(() => {})
+        if (error) reject(error)
+        else resolve(grant)
+      }
+
+      const redemption = connection => {
+        if (tried.has(connection) || !connection.handshakeHash) return
+        tried.add(connection)
+
+        const channel = Protomux.from(connection).createChannel({
+          protocol: INVITE_PROTOCOL,
+          messages: [{
+            encoding: c.json,
+            onmessage: reply => {
+              channel.close()
+              if (reply.type === 'grant') {
+                finish(null, { link: reply.link, petName: reply.petName })
+              } else if (reply.code !== 'unknown') {
+                // Other peers may answer unknown, only the inviter knows the invite
+                finish(new Error(reply.message))
+              }
+            }
+          }],
+          onopen: () => {
+            channel.messages[0].send({
+              type: 'redeem',
+              inviteId: b4a.toString(inviteId, 'hex'),
+              proof: b4a.toString(createProof(secret, connection), 'hex')
+            })
+          }
+        })
+        if (channel === null) return
+        channel.open()
+      }
+
+      timer = setTimeout(() => {
+        finish(new Error('No online member could redeem this invite, ask the inviter to open schema-sheets and try again'))
+      }, timeout)
+
+      this.redemptions.add(redemption)
+      this.swarm.join(inviteId, { server: false, client: true })
+
+      // The inviter may already be connected through a shared room
+      for (const connection of this.swarm.connections) {
+        redemption(connection)
+      }
+    })
+  }
+}
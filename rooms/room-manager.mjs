@@ -1,11 +1,37 @@
 import crypto from 'hypercore-crypto'
 import z32 from 'z32'
+import b4a from 'b4a'
 import chalk from 'chalk'
-import { input } from '@inquirer/prompts'
+import { input, confirm } from '@inquirer/prompts'
+import { parseRoomLink, getRoomRole } from '../lobby.mjs'
+import { recordMemberJoin, isWriterRevoked, getLocalWriterKey, listMembers } from '../sheets/members.mjs'
+import { findKeyRotation, publishKeyRotation } from '../sheets/key-rotation.mjs'
+import { createRoomAuthority, getRoomAuthority } from '../sheets/room-authority.mjs'
+import { createRoomBackup, restoreRoomBackup } from '../sheets/room-backup.mjs'
+import { loadSigningConfig } from '../config/signing-utils.mjs'
+import { getStoreId, deriveRoomNamespace, resolveNamespace, findOrphanedNamespaces, cleanOrphanedNamespace } from './room-namespace.mjs'
+
+const ACTIVITY_RECORD_INTERVAL = 10 * 1000
+
+// Everything that describes the room the menus are working in
+const ROOM_STATE_FIELDS = [
+  'currentSheet',
+  'currentRoomLink',
+  'currentRoomName',
+  'currentUsername',
+  'currentRole',
+  'currentIsCreator',
+  'currentRevoked',
+  'currentRetired'
+]
 
 export class RoomManager {
-  constructor(lobby, swarm, store, blind, wakeup) {
+  /**
+   * @param {Object} options - { interactive } false for subcommands, which never prompt
+   */
+  constructor(lobby, swarm, store, blind, wakeup, { interactive = true } = {}) {
     this.lobby = lobby
+    this.interactive = interactive
     this.swarm = swarm
     this.store = store
     this.blind = blind
@@ -13,33 +39,54 @@ export class RoomManager {
     this.currentSheet = null
     this.currentRoomLink = null
     this.currentRoomName = null
+    this.currentUsername = null
+    this.currentRole = null
+    this.currentIsCreator = false
+    this.currentRevoked = false
+    this.currentRetired = false
+    // Rooms rotated away from stay open so members can pick up the new key
+    this.retiredSheets = []
+    // Other open rooms keep replicating in the background, keyed by z32 room key
+    this.backgroundRooms = new Map()
+    // Stop functions for the update listeners that mark background rooms as having unread activity
+    this.activityWatchers = new Map()
   }
 
   async createNewRoom(petName, username) {
+    this.parkCurrentRoom()
     const room = await this.lobby.createRoom(petName, username)
     const roomLink = this.lobby.generateRoomLink(room.keyBuffer, room.encryptionKeyBuffer)
     
     // Store the current room link and name for clipboard functionality and headers
     this.currentRoomLink = roomLink
     this.currentRoomName = petName
+    this.currentIsCreator = true
     
     console.log(chalk.green(`✅ Room "${petName}" created!`))
     console.log(chalk.blue(`Room Link: ${roomLink}`))
+    console.log(chalk.blue(`Read-only Link: ${this.lobby.generateRoomLink(room.keyBuffer, room.encryptionKeyBuffer, 'viewer')}`))
+    console.log(chalk.yellow('The read-only link is advisory, it carries the same keys and can be turned into a writer link'))
     
-    return this.startSheet(room.keyBuffer, room.encryptionKeyBuffer, username)
+    return this.startSheet(room.keyBuffer, room.encryptionKeyBuffer, username, 'writer')
   }
 
   async joinExistingRoom(roomLink, username, petName) {
     try {
       const room = await this.lobby.joinRoom(roomLink, username, petName)
+      const role = getRoomRole(room)
+
+      const open = await this.resumeOpenRoom(room.key, role)
+      if (open) return open
+      this.parkCurrentRoom()
       
       // Store the current room link and name for clipboard functionality and headers
-      this.currentRoomLink = roomLink
+      this.currentRoomLink = this.lobby.generateRoomLink(room.keyBuffer, room.encryptionKeyBuffer, role)
       this.currentRoomName = room.petName
+      this.currentIsCreator = !!room.isCreator
       
-      console.log(chalk.green(`✅ Joined room "${room.petName}"`))
+      console.log(chalk.green(`✅ Joined room "${room.petName}"${role === 'viewer' ? ' (read-only)' : ''}`))
       
-      return this.startSheet(room.keyBuffer, room.encryptionKeyBuffer, username)
+      return this.startSheet(room.keyBuffer, room.encryptionKeyBuffer, username, role)
     } catch (error) {
       console.error(chalk.red('Failed to join room:'), error.message)
       throw error
@@ -48,9 +95,8 @@ export class RoomManager {
 
   async joinKnownRoom(room) {
     try {
-      const roomLink = this.lobby.generateRoomLink(z32.decode(room.key), z32.decode(room.encryptionKey))
-      const { sheet } = await this.joinExistingRoom(roomLink, room.username)
-      const member = await sheet.join(room.username)
+      const roomLink = this.lobby.generateRoomLink(z32.decode(room.key), z32.decode(room.encryptionKey), getRoomRole(room))
+      const { sheet, member } = await this.joinExistingRoom(roomLink, room.username)
       
       console.log(chalk.green('✅ Connected to schema sheets'))
       await input({ message: 'Press Enter to continue to room...' })
@@ -63,31 +109,289 @@ export class RoomManager {
     }
   }
 
-  async startSheet(key, encryptionKey, username) {
+  /**
+   * Open a known room without prompting, for non-interactive commands
+   */
+  async openRoom(room) {
+    const key = z32.decode(room.key)
+    const encryptionKey = z32.decode(room.encryptionKey)
+
+    const role = getRoomRole(room)
+    const open = await this.resumeOpenRoom(room.key, role)
+    if (open) return open
+    this.parkCurrentRoom()
+
+    this.currentRoomLink = this.lobby.generateRoomLink(key, encryptionKey, role)
+    this.currentRoomName = room.petName
+    this.currentIsCreator = !!room.isCreator
+
+    return this.startSheet(key, encryptionKey, room.username, role)
+  }
+
+  /**
+   * Switch to a room that is already open, unless it has to be reopened
+   * because a writer link upgraded it from read-only
+   * @returns {Object|null} Same shape as startSheet(), or null if the room is not open
+   */
+  async resumeOpenRoom(roomKey, role) {
+    if (!this.isRoomOpen(roomKey)) return null
+
+    const state = roomKey === this.getCurrentRoomKey() ? this : this.backgroundRooms.get(roomKey)
+    if (state.currentRole !== role) {
+      await this.closeRoom(roomKey)
+      return null
+    }
+
+    const sheet = this.switchToRoom(roomKey)
+    return { key: sheet.base.key, local: sheet.base.local.key, sheet, member: null }
+  }
+
+  /**
+   * Open a room's sheet and start replicating it, without joining as a
+   * writer or making it the current room
+   * @param {Object} options - { replicate } false reads local data only,
+   *   { namespace } overrides the room's recorded namespace
+   */
+  async openSheet(key, encryptionKey, { replicate = true, namespace = null } = {}) {
     const SchemaSheets = (await import('schema-sheets')).default
-    const sheet = new SchemaSheets(this.store.namespace(crypto.randomBytes(32)), key, { 
+    if (!namespace) namespace = await this.getRoomNamespace(key)
+    const sheet = new SchemaSheets(this.store.namespace(namespace), key, { 
       encryptionKey, 
       wakeup: this.wakeup 
     })
     await sheet.ready()
-    this.swarm.join(sheet.base.discoveryKey)
-    this.blind.addAutobaseBackground(sheet.base)
+    if (replicate) {
+      this.swarm.join(sheet.base.discoveryKey)
+      this.blind.addAutobaseBackground(sheet.base)
+    }
+    return sheet
+  }
+
+  /**
+   * Run fn with a room's sheet and the corestore namespace its named cores
+   * live in. Open rooms are used as they are, others, including deleted
+   * rooms, are opened from local data and closed again.
+   * @param {Object} room - Lobby record
+   * @param {Function} fn - async (sheet, namespace) => result
+   */
+  async inspectRoom(room, fn) {
+    const key = z32.decode(room.key)
+    const storeId = await getStoreId(this.store)
+    const name = room.namespaces && room.namespaces[storeId]
+      ? b4a.from(room.namespaces[storeId], 'hex')
+      : await deriveRoomNamespace(this.store, key)
+    const namespace = resolveNamespace(this.store, name)
+
+    const open = this.listOpenRooms().find(entry => entry.key === room.key)
+    if (open) return fn(open.sheet, namespace)
+
+    const sheet = await this.openSheet(key, z32.decode(room.encryptionKey), { replicate: false, namespace: name })
+    try {
+      return await fn(sheet, namespace)
+    } finally {
+      await sheet.close().catch(() => {})
+    }
+  }
+
+  /**
+   * The corestore namespace a room opens in on this store, so every session
+   * reuses the same local writer. Recorded in the room's lobby entry.
+   * @param {Buffer} key - Room key
+   * @returns {Promise<Buffer>} Name to pass to store.namespace()
+   */
+  async getRoomNamespace(key) {
+    const keyHex = b4a.toString(key, 'hex')
+    const storeId = await getStoreId(this.store)
+    const room = await this.lobby.getRoomByKey(keyHex)
+    if (room && room.namespaces && room.namespaces[storeId]) {
+      return b4a.from(room.namespaces[storeId], 'hex')
+    }
+
+    const namespace = await deriveRoomNamespace(this.store, key)
+    // A room being created by a key rotation has no record yet, it is recorded when next opened
+    if (room) {
+      await this.lobby.recordRoomNamespace(keyHex, storeId, b4a.toString(namespace, 'hex'))
+    }
+    return namespace
+  }
+
+  /**
+   * One-off upgrade from the random namespace every open used to get.
+   * Records the namespace of every known room, then clears the views left
+   * in namespaces no room uses anymore. Writers that hold rows are kept.
+   * @returns {Promise<Object|null>} null if this store was already migrated,
+   *   otherwise { rooms, orphans, cleared, bytes, keptWriters }
+   */
+  async migrateRoomNamespaces() {
+    const storeId = await getStoreId(this.store)
+    if (this.lobby.getNamespaceMigration(storeId)) return null
+
+    const rooms = await this.lobby.listRooms({ includeRotated: true })
+    const namespaces = []
+    for (const room of rooms) {
+      namespaces.push(b4a.toString(await this.getRoomNamespace(z32.decode(room.key)), 'hex'))
+    }
+
+    const orphans = await findOrphanedNamespaces(this.store, namespaces)
+    const result = { migratedAt: Date.now(), rooms: rooms.length, orphans: orphans.length, cleared: 0, bytes: 0, keptWriters: 0 }
+    for (const orphan of orphans) {
+      const cleaned = await cleanOrphanedNamespace(this.store, orphan)
+      result.cleared += cleaned.cleared
+      result.bytes += cleaned.bytes
+      if (cleaned.keptWriter) result.keptWriters++
+    }
+
+    this.lobby.recordNamespaceMigration(storeId, result)
+    return result
+  }
+
+  /**
+   * Open a room's sheet. Viewers replicate the room but never join it as a
+   * writer, so read-only links cannot append.
+   */
+  async startSheet(key, encryptionKey, username, role = 'writer') {
+    const sheet = await this.openSheet(key, encryptionKey)
     
     // Track the current sheet for cleanup
     this.currentSheet = sheet
-    if (username) {
-      await sheet.join(username)
+    this.currentUsername = username || null
+    this.currentRole = role
+    this.currentRevoked = false
+    this.currentRetired = false
+    let member = null
+    if (username && role === 'writer') {
+      member = await sheet.join(username)
+
+      // Advisory: an unmodified app stops appending once it sees its writer key revoked
+      this.currentRevoked = await isWriterRevoked(sheet, getLocalWriterKey(sheet), key)
+      if (this.currentRevoked) {
+        console.warn(chalk.yellow('⚠️  Your access to this room was revoked by its creator, opening read-only'))
+      } else {
+        const signingConfig = loadSigningConfig()
+        const authority = getRoomAuthority(await this.lobby.getRoomByKey(b4a.toString(key, 'hex')))
+        // Not awaited: a new writer may not be writable until a peer adds it
+        recordMemberJoin(sheet, username, signingConfig ? signingConfig.keetUsername : undefined, authority).catch(error => {
+          console.warn(chalk.yellow('Warning: Could not record membership:'), error.message)
+        })
+      }
     }
+
+    const rotated = await this.followKeyRotation(sheet, key, username, role)
+    if (rotated) return rotated
+
+    this.markRoomOpened(z32.encode(key))
     
-    return { key: sheet.base.key, local: sheet.base.local.key, sheet }
+    return { key: sheet.base.key, local: sheet.base.local.key, sheet, member }
+  }
+
+  /**
+   * Move on to the new room if the room creator rotated this room's key,
+   * this device was granted the new key and the user agrees. Otherwise the
+   * old room opens read-only. Rotations not signed by the creator are ignored.
+   * @returns {Object|null} Result of startSheet() for the new room
+   */
+  async followKeyRotation(sheet, key, username, role) {
+    const found = await findKeyRotation(sheet, key)
+    if (!found) return null
+
+    this.currentRetired = true
+    const rotatedAt = new Date(found.rotation.time).toLocaleString()
+    if (!found.keys) {
+      console.warn(chalk.yellow(`⚠️  This room's key was rotated on ${rotatedAt} and the new key was not shared with you, opening read-only`))
+      console.warn(chalk.yellow('Ask the room creator for a new link to keep collaborating'))
+      return null
+    }
+
+    if (!this.interactive) {
+      console.warn(chalk.yellow(`⚠️  The room creator rotated this room's key on ${rotatedAt}, opening the old room read-only`))
+      console.warn(chalk.yellow('Open the room in the interactive app to move to the new room'))
+      return null
+    }
+
+    console.log(chalk.cyan(`🔑 The room creator${found.rotation.by ? ` (${found.rotation.by})` : ''} rotated this room's key on ${rotatedAt}.`))
+    const follow = await confirm({
+      message: 'Move to the new room? Your room record will point at the new key',
+      default: true
+    })
+    if (!follow) {
+      console.log(chalk.yellow('Staying in the old room, read-only. You will be asked again next time you open it'))
+      return null
+    }
+
+    const room = await this.lobby.recordKeyRotation(b4a.toString(key, 'hex'), found.keys)
+    console.log(chalk.green('🔑 Moving to the new room'))
+
+    await sheet.close()
+    this.currentRoomLink = this.lobby.generateRoomLink(room.keyBuffer, room.encryptionKeyBuffer, role)
+    this.currentRoomName = room.petName
+    return this.startSheet(room.keyBuffer, room.encryptionKeyBuffer, username, role)
+  }
+
+  /**
+   * Move the current room's data to a new room key and encryption key, and
+   * leave the new keys in the old room sealed to each non-revoked member.
+   * Only the room creator can rotate. Members follow only when the old room
+   * has an authority to sign the rotation with, the new room always gets one.
+   * @param {Function} onProgress - Called with a status line as the migration runs
+   * @returns {Object} { sheet, restored, granted, revoked, signed } where sheet is the new room
+   */
+  async rotateCurrentRoomKey(onProgress = () => {}) {
+    const oldSheet = this.currentSheet
+    if (!oldSheet || !this.currentIsCreator || this.isReadOnly()) {
+      throw new Error('Only the room creator can rotate the room key')
+    }
+
+    const { key: oldKey } = parseRoomLink(this.currentRoomLink)
+    const authority = await this.getCurrentRoomAuthority()
+    const previous = this._takeRoomState()
+    const newAuthority = createRoomAuthority()
+    const keys = { key: newAuthority.publicKey, encryptionKey: crypto.randomBytes(32) }
+
+    onProgress('Reading room data')
+    const members = await listMembers(oldSheet, oldKey)
+    const archive = await createRoomBackup(oldSheet, { petName: this.currentRoomName, key: z32.encode(oldKey) })
+
+    let opened = null
+    try {
+      onProgress('Creating the room under its new key')
+      opened = await this.startSheet(keys.key, keys.encryptionKey, previous.currentUsername, 'writer')
+      const restored = await restoreRoomBackup(opened.sheet, archive, onProgress)
+
+      onProgress('Sharing the new key with members')
+      const rotation = await publishKeyRotation(oldSheet, keys, members, previous.currentUsername, authority)
+      const room = await this.lobby.recordKeyRotation(b4a.toString(oldKey, 'hex'), keys, { authorityKey: newAuthority.secretKey })
+
+      // The join recorded on opening was unsigned, the new record now holds the authority
+      const signingConfig = loadSigningConfig()
+      await recordMemberJoin(opened.sheet, previous.currentUsername, signingConfig ? signingConfig.keetUsername : undefined, newAuthority.secretKey)
+
+      this.retiredSheets.push(oldSheet)
+      this.currentRoomLink = this.lobby.generateRoomLink(room.keyBuffer, room.encryptionKeyBuffer, 'writer')
+      this.currentRoomName = room.petName
+      this.currentIsCreator = true
+
+      return {
+        sheet: opened.sheet,
+        restored,
+        granted: rotation.grants.length,
+        revoked: members.filter(member => member.revoked).length,
+        signed: !!authority
+      }
+    } catch (error) {
+      // Nothing was published in the old room yet, so go back to it
+      if (opened) {
+        await opened.sheet.close().catch(() => {})
+      }
+      Object.assign(this, previous)
+      throw error
+    }
   }
 
   async changeRoomName(newPetName) {
     try {
       // Update the room name in the lobby
       if (this.currentRoomLink) {
-        const decoded = z32.decode(this.currentRoomLink)
-        const key = decoded.subarray(0, 32)
+        const { key } = parseRoomLink(this.currentRoomLink)
         const keyHex = key.toString('hex')
         
         await this.lobby.updateRoom(keyHex, { petName: newPetName })
@@ -107,6 +411,147 @@ export class RoomManager {
     this.currentRoomName = roomName
   }
 
+  /**
+   * z32 key of the current room, or null when no room is open
+   */
+  getCurrentRoomKey() {
+    if (!this.currentSheet || !this.currentRoomLink) return null
+    return z32.encode(parseRoomLink(this.currentRoomLink).key)
+  }
+
+  isRoomOpen(roomKey) {
+    return roomKey === this.getCurrentRoomKey() || this.backgroundRooms.has(roomKey)
+  }
+
+  /**
+   * Every open room, the current one first
+   * @returns {Array} [{ key, name, role, readOnly, current, sheet }]
+   */
+  listOpenRooms() {
+    const describe = (key, state, current) => ({
+      key,
+      name: state.currentRoomName,
+      role: state.currentRole,
+      readOnly: state.currentRole === 'viewer' || state.currentRevoked || state.currentRetired,
+      current,
+      sheet: state.currentSheet
+    })
+
+    const rooms = []
+    const currentKey = this.getCurrentRoomKey()
+    if (currentKey) rooms.push(describe(currentKey, this, true))
+    this.backgroundRooms.forEach((state, key) => rooms.push(describe(key, state, false)))
+    return rooms
+  }
+
+  _takeRoomState() {
+    const state = {}
+    ROOM_STATE_FIELDS.forEach(field => {
+      state[field] = this[field]
+    })
+    return state
+  }
+
+  _clearRoomState() {
+    this.currentSheet = null
+    this.currentRoomLink = null
+    this.currentRoomName = null
+    this.currentUsername = null
+    this.currentRole = null
+    this.currentIsCreator = false
+    this.currentRevoked = false
+    this.currentRetired = false
+  }
+
+  /**
+   * Move the current room to the background, where it keeps replicating
+   */
+  parkCurrentRoom() {
+    const roomKey = this.getCurrentRoomKey()
+    if (!roomKey) return
+    this.backgroundRooms.set(roomKey, this._takeRoomState())
+    this._watchActivity(roomKey, this.currentSheet)
+    this._clearRoomState()
+  }
+
+  /**
+   * Record updates peers make to a background room, so the lobby can show it has unread activity
+   */
+  _watchActivity(roomKey, sheet) {
+    let recordedAt = 0
+    const onUpdate = () => {
+      // Updates come in bursts while a peer syncs, the time only needs to be roughly right
+      if (Date.now() - recordedAt < ACTIVITY_RECORD_INTERVAL) return
+      recordedAt = Date.now()
+      this.lobby.updateRoom(b4a.toString(z32.decode(roomKey), 'hex'), { lastActivityAt: recordedAt }).catch(() => {})
+    }
+
+    sheet.base.on('update', onUpdate)
+    this.activityWatchers.set(roomKey, () => sheet.base.off('update', onUpdate))
+  }
+
+  _unwatchActivity(roomKey) {
+    const stop = this.activityWatchers.get(roomKey)
+    if (!stop) return
+    stop()
+    this.activityWatchers.delete(roomKey)
+  }
+
+  markRoomOpened(roomKey) {
+    this.lobby.updateRoom(b4a.toString(z32.decode(roomKey), 'hex'), { lastOpenedAt: Date.now() }).catch(() => {})
+  }
+
+  /**
+   * Rename a room locally, including the open copy of it
+   * @param {string} roomKey - z32 room key
+   */
+  async renameRoom(roomKey, petName) {
+    await this.lobby.updateRoom(b4a.toString(z32.decode(roomKey), 'hex'), { petName })
+
+    if (roomKey === this.getCurrentRoomKey()) {
+      this.currentRoomName = petName
+    } else if (this.backgroundRooms.has(roomKey)) {
+      this.backgroundRooms.get(roomKey).currentRoomName = petName
+    }
+  }
+
+  /**
+   * Make an open room the current one, parking the room that was current
+   * @returns {Object} The room's sheet
+   */
+  switchToRoom(roomKey) {
+    if (roomKey === this.getCurrentRoomKey()) return this.currentSheet
+
+    const state = this.backgroundRooms.get(roomKey)
+    if (!state) {
+      throw new Error('That room is not open')
+    }
+
+    this.parkCurrentRoom()
+    this.backgroundRooms.delete(roomKey)
+    this._unwatchActivity(roomKey)
+    Object.assign(this, state)
+    this.markRoomOpened(roomKey)
+    return this.currentSheet
+  }
+
+  /**
+   * Close an open room, current or in the background
+   */
+  async closeRoom(roomKey) {
+    if (roomKey === this.getCurrentRoomKey()) {
+      return this.closeCurrentSheet()
+    }
+
+    const state = this.backgroundRooms.get(roomKey)
+    if (!state) return
+    this.backgroundRooms.delete(roomKey)
+    this._unwatchActivity(roomKey)
+    await state.currentSheet.close().catch(error => {
+      console.warn(chalk.yellow('Warning: Error closing sheet:'), error.message)
+    })
+  }
+
   async closeCurrentSheet() {
     if (this.currentSheet) {
       try {
@@ -115,12 +560,28 @@ export class RoomManager {
       } catch (error) {
         console.warn(chalk.yellow('Warning: Error closing sheet:'), error.message)
       }
-      this.currentSheet = null
-      this.currentRoomLink = null
-      this.currentRoomName = null
+      this._clearRoomState()
     }
   }
 
+  /**
+   * Close every open room, for shutdown
+   */
+  async closeAllSheets() {
+    await this.closeCurrentSheet()
+
+    for (const roomKey of [...this.backgroundRooms.keys()]) {
+      await this.closeRoom(roomKey)
+    }
+
+    for (const sheet of this.retiredSheets) {
+      await sheet.close().catch(error => {
+        console.warn(chalk.yellow('Warning: Error closing retired sheet:'), error.message)
+      })
+    }
+    this.retiredSheets = []
+  }
+
   getCurrentRoomLink() {
     return this.currentRoomLink
   }
@@ -129,6 +590,62 @@ export class RoomManager {
     return this.currentRoomName
   }
 
+  getCurrentUsername() {
+    return this.currentUsername
+  }
+
+  getCurrentRole() {
+    return this.currentRole
+  }
+
+  /**
+   * True when the current room was opened with a read-only link, this
+   * device's writer access was revoked, or the room's key was rotated without it
+   */
+  isReadOnly() {
+    return this.currentRole === 'viewer' || this.currentRevoked || this.currentRetired
+  }
+
+  isCurrentRoomCreator() {
+    return this.currentIsCreator
+  }
+
+  /**
+   * Room authority secret key of the current room. Only the device that
+   * created the room holds it, rooms created before authorities have none.
+   * @returns {Promise<Buffer|null>}
+   */
+  async getCurrentRoomAuthority() {
+    if (!this.currentRoomLink) return null
+    const { key } = parseRoomLink(this.currentRoomLink)
+    return getRoomAuthority(await this.lobby.getRoomByKey(b4a.toString(key, 'hex')))
+  }
+
+  getCurrentStore() {
+    return this.store
+  }
+
+  getSwarm() {
+    return this.swarm
+  }
+
+  getBlindPeering() {
+    return this.blind
+  }
+
+  getPeerCount() {
+    return this.swarm.connections.size
+  }
+
+  /**
+   * Link for the current room with the given access, viewers can only share read-only links
+   */
+  getCurrentRoomLinkFor(role) {
+    if (!this.currentRoomLink) return null
+    const { key, encryptionKey } = parseRoomLink(this.currentRoomLink)
+    return this.lobby.generateRoomLink(key, encryptionKey, this.isReadOnly() ? 'viewer' : role)
+  }
+
   getCurrentSheet() {
     return this.currentSheet
   }
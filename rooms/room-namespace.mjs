@@ -0,0 +1,105 @@
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+
+/**
+ * Each room opens in a corestore namespace derived from the room key and
+ * the store's primary key, so reopening a room finds the same local writer
+ * and views. Earlier versions picked a random namespace on every open,
+ * leaving a writer and a set of views behind each session.
+ */
+
+const NAMESPACE_TAG = b4a.from('schema-sheets/room-namespace')
+const STORE_ID_TAG = b4a.from('schema-sheets/store-id')
+
+// Autobase keeps the local writer under this name in the room's namespace
+const LOCAL_WRITER_NAME = 'local'
+
+/**
+ * Identify a corestore without revealing its primary key. Several stores
+ * (`schema-sheets <suffix>`) share one lobby, so namespaces are recorded per store.
+ */
+export async function getStoreId(store) {
+  await store.ready()
+  return b4a.toString(crypto.hash([STORE_ID_TAG, store.primaryKey]), 'hex').slice(0, 16)
+}
+
+/**
+ * @param {Object} store - Root corestore
+ * @param {Buffer} roomKey - Room key
+ * @returns {Promise<Buffer>} Name to pass to store.namespace()
+ */
+export async function deriveRoomNamespace(store, roomKey) {
+  await store.ready()
+  return crypto.hash([NAMESPACE_TAG, store.primaryKey, roomKey])
+}
+
+/**
+ * The namespace corestore files a room's named cores under, which is what
+ * its storage records
+ * @param {Buffer} name - Name passed to store.namespace()
+ */
+export function resolveNamespace(store, name) {
+  const session = store.namespace(name)
+  const ns = session.ns
+  session.close().catch(() => {})
+  return ns
+}
+
+/**
+ * Find named cores outside the root namespace and the given room namespaces
+ * @param {Object} store - Root corestore
+ * @param {Array} roomNamespaces - Hex names the known rooms are opened with
+ * @returns {Promise<Array>} [{ namespace, cores: [{ name, discoveryKey }] }] with hex namespaces
+ */
+export async function findOrphanedNamespaces(store, roomNamespaces) {
+  await store.ready()
+  const known = new Set(roomNamespaces.map(name => b4a.toString(resolveNamespace(store, b4a.from(name, 'hex')), 'hex')))
+  known.add(b4a.toString(store.ns, 'hex'))
+
+  const orphans = new Map()
+  for await (const { alias, discoveryKey } of store.storage.createAliasStream()) {
+    const namespace = b4a.toString(alias.namespace, 'hex')
+    if (known.has(namespace)) continue
+
+    if (!orphans.has(namespace)) orphans.set(namespace, { namespace, cores: [] })
+    orphans.get(namespace).cores.push({ name: alias.name, discoveryKey })
+  }
+
+  return [...orphans.values()]
+}
+
+/**
+ * Free the blocks of an orphaned namespace. Views are rebuilt from the
+ * writers, so they are cleared. A local writer that was appended to is
+ * kept: its rows may not have reached any peer yet, and the room still
+ * references it.
+ * @returns {Promise<Object>} { cleared, bytes, keptWriter } where bytes is the size of the cleared cores
+ */
+export async function cleanOrphanedNamespace(store, orphan) {
+  const result = { cleared: 0, bytes: 0, keptWriter: null }
+
+  for (const { name, discoveryKey } of orphan.cores) {
+    const auth = await store.storage.getAuth(discoveryKey)
+    if (!auth) continue
+
+    const core = store.get({ key: auth.key, active: false })
+    try {
+      await core.ready()
+      if (name === LOCAL_WRITER_NAME && core.length > 0) {
+        result.keptWriter = { key: core.key, length: core.length }
+        continue
+      }
+
+      // Views are written locally, so a cleared one has nothing contiguous left
+      if (core.contiguousLength === 0) continue
+
+      result.bytes += core.byteLength
+      await core.clear(0, core.length)
+      result.cleared++
+    } finally {
+      await core.close().catch(() => {})
+    }
+  }
+
+  return result
+}
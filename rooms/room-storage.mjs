@@ -0,0 +1,154 @@
+import fs from 'fs'
+import { join } from 'path'
+import b4a from 'b4a'
+import Id from 'hypercore-id-encoding'
+import { listMembers, getLocalWriterKey } from '../sheets/members.mjs'
+
+/**
+ * Storage accounting for the corestore. A room's data lives in the writer
+ * cores of its members, found by key, and in the views autobase keeps under
+ * the room's namespace, found by name. Anything else with blocks stored is
+ * not referenced by a known room.
+ */
+
+/**
+ * Bytes used by every file under a directory
+ */
+export function getDirectorySize(directory) {
+  let bytes = 0
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const entryPath = join(directory, entry.name)
+    bytes += entry.isDirectory() ? getDirectorySize(entryPath) : fs.statSync(entryPath).size
+  }
+  return bytes
+}
+
+/**
+ * Disk usage of each corestore directory, `corestore` and `corestore-<suffix>`
+ * @returns {Array} [{ name, bytes }]
+ */
+export function listCorestoreDirectories(storagePath) {
+  return fs.readdirSync(storagePath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && /^corestore(-|$)/.test(entry.name))
+    .map(entry => ({ name: entry.name, bytes: getDirectorySize(join(storagePath, entry.name)) }))
+}
+
+/**
+ * Size of one core. Blocks past the contiguous length may be missing
+ * locally, so bytes is an estimate unless the core is fully downloaded.
+ * @returns {Promise<Object|null>} { key, discoveryKey, length, contiguousLength, bytes }
+ *   with z32 key and hex discovery key, or null if the core is not stored
+ */
+export async function measureCore(store, { key = null, discoveryKey = null }) {
+  if (!key) {
+    const auth = await store.storage.getAuth(discoveryKey)
+    if (!auth) return null
+    key = auth.key
+  }
+
+  const core = store.get({ key, active: false })
+  try {
+    await core.ready()
+    return {
+      key: Id.encode(core.key),
+      discoveryKey: b4a.toString(core.discoveryKey, 'hex'),
+      length: core.length,
+      contiguousLength: core.contiguousLength,
+      bytes: core.length > 0 ? Math.round(core.byteLength * core.contiguousLength / core.length) : 0
+    }
+  } catch (error) {
+    return null
+  } finally {
+    await core.close().catch(() => {})
+  }
+}
+
+/**
+ * Every core that belongs to an opened room: the room key, its members'
+ * writer cores and the named cores in the namespace it was opened with
+ * @param {Object} store - Root corestore
+ * @param {Object} sheet - Open sheet of the room
+ * @param {Buffer} namespace - Session namespace the sheet's store uses
+ * @returns {Promise<Array>} [{ kind, label, ...measureCore() }] where kind is 'writer' or 'view'
+ */
+export async function listRoomCores(store, sheet, namespace) {
+  const cores = new Map()
+  const add = (kind, label, measured) => {
+    if (measured && !cores.has(measured.discoveryKey)) {
+      cores.set(measured.discoveryKey, { kind, label, ...measured })
+    }
+  }
+
+  const localWriterKey = getLocalWriterKey(sheet)
+  add('writer', 'You', await measureCore(store, { key: Id.decode(localWriterKey) }))
+
+  for (const member of await listMembers(sheet)) {
+    add('writer', member.username || 'Unknown', await measureCore(store, { key: Id.decode(member.writerKey) }))
+  }
+  add('writer', 'Room creator', await measureCore(store, { key: sheet.base.key }))
+
+  for await (const { alias, discoveryKey } of store.storage.createAliasStream(namespace)) {
+    add('view', alias.name, await measureCore(store, { discoveryKey }))
+  }
+
+  return [...cores.values()]
+}
+
+/**
+ * Cores with local blocks that no room references, leaving out the
+ * app's own cores in the root namespace
+ * @param {Object} store - Root corestore
+ * @param {Set} referenced - Hex discovery keys of every room's cores
+ * @returns {Promise<Array>} Results of measureCore()
+ */
+export async function findUnreferencedCores(store, referenced) {
+  const ownCores = new Set()
+  for await (const { discoveryKey } of store.storage.createAliasStream(store.ns)) {
+    ownCores.add(b4a.toString(discoveryKey, 'hex'))
+  }
+
+  const unreferenced = []
+  for await (const discoveryKey of store.storage.createDiscoveryKeyStream()) {
+    const id = b4a.toString(discoveryKey, 'hex')
+    if (referenced.has(id) || ownCores.has(id)) continue
+
+    const measured = await measureCore(store, { discoveryKey })
+    if (measured && measured.contiguousLength > 0) unreferenced.push(measured)
+  }
+
+  return unreferenced
+}
+
+/**
+ * Drop the local blocks of cores, then compact the store so the space is
+ * given back to the disk
+ * @param {Array} cores - Results of measureCore()
+ * @returns {Promise<number>} Bytes the purged cores held
+ */
+export async function purgeCores(store, cores) {
+  let bytes = 0
+
+  for (const measured of cores) {
+    const core = store.get({ key: Id.decode(measured.key), active: false })
+    try {
+      await core.ready()
+      if (core.length > 0) {
+        await core.clear(0, core.length)
+        bytes += measured.bytes
+      }
+    } finally {
+      await core.close().catch(() => {})
+    }
+  }
+
+  await compactStore(store)
+  return bytes
+}
+
+/**
+ * Rewrite the store's files without deleted and cleared data
+ */
+export async function compactStore(store) {
+  await store.ready()
+  await store.storage.compact()
+}
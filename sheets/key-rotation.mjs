@@ -0,0 +1,134 @@
+import sodium from 'sodium-native'
+import b4a from 'b4a'
+import Id from 'hypercore-id-encoding'
+import { SYSTEM_SCHEMA_PREFIX, ensureSystemSchema, listSystemRows } from './system-schemas.mjs'
+import { getLocalWriterKey } from './members.mjs'
+import { signAuthorityEvent, verifyAuthorityEvent } from './room-authority.mjs'
+
+/**
+ * An autobase cannot change its encryption key, so rotating a room's key
+ * moves its data into a fresh room and leaves a rotation event behind in the
+ * old one. The event holds the new room key and encryption key sealed to
+ * each non-revoked member's writer key, so anyone holding only an old link
+ * can see that the room moved but cannot follow it. The event is signed
+ * with the room authority, apps ignore rotations anyone else published.
+ */
+
+export const KEY_ROTATION_SCHEMA_NAME = `${SYSTEM_SCHEMA_PREFIX}key-rotations`
+
+export const keyRotationSchema = {
+  type: 'object',
+  required: ['grants', 'time'],
+  properties: {
+    by: { type: 'string' },
+    time: { type: 'number' },
+    signature: { type: 'string' },
+    grants: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['writerKey', 'sealed'],
+        properties: {
+          writerKey: { type: 'string' },
+          sealed: { type: 'string' }
+        }
+      }
+    }
+  }
+}
+
+const KEY_LENGTH = 32
+
+function toCurvePublicKey(signPublicKey) {
+  const publicKey = b4a.alloc(sodium.crypto_box_PUBLICKEYBYTES)
+  sodium.crypto_sign_ed25519_pk_to_curve25519(publicKey, signPublicKey)
+  return publicKey
+}
+
+/**
+ * Seal the new room key and encryption key so only the owner of a writer key can open them
+ * @returns {string} Hex encoded sealed box
+ */
+export function sealRoomKeys(writerKey, { key, encryptionKey }) {
+  const message = b4a.concat([key, encryptionKey])
+  const sealed = b4a.alloc(message.length + sodium.crypto_box_SEALBYTES)
+  sodium.crypto_box_seal(sealed, message, toCurvePublicKey(Id.decode(writerKey)))
+  return b4a.toString(sealed, 'hex')
+}
+
+/**
+ * Open a sealed grant with this device's writer key pair
+ * @returns {Object|null} { key, encryptionKey }, or null if the grant is not for this key pair
+ */
+export function openRoomKeys(keyPair, sealedHex) {
+  const sealed = b4a.from(sealedHex, 'hex')
+  if (sealed.length !== KEY_LENGTH * 2 + sodium.crypto_box_SEALBYTES) return null
+
+  const secretKey = b4a.alloc(sodium.crypto_box_SECRETKEYBYTES)
+  sodium.crypto_sign_ed25519_sk_to_curve25519(secretKey, keyPair.secretKey)
+
+  const message = b4a.alloc(KEY_LENGTH * 2)
+  const opened = sodium.crypto_box_seal_open(message, sealed, toCurvePublicKey(keyPair.publicKey), secretKey)
+  sodium.sodium_memzero(secretKey)
+  if (!opened) return null
+
+  return {
+    key: message.subarray(0, KEY_LENGTH),
+    encryptionKey: message.subarray(KEY_LENGTH)
+  }
+}
+
+export async function listKeyRotations(sheet) {
+  const rows = await listSystemRows(sheet, KEY_ROTATION_SCHEMA_NAME)
+  return rows
+    .filter(row => row.json && Array.isArray(row.json.grants))
+    .map(row => row.json)
+    .sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Record a rotation in the old room, with a grant for each member
+ * @param {Object} sheet - Old room
+ * @param {Object} keys - { key, encryptionKey } of the new room
+ * @param {Array} members - Members from listMembers(), revoked ones are skipped
+ * @param {string} by - Username of the creator rotating the key
+ * @param {Buffer|null} authorityKey - Room authority secret key, rooms without one publish an unsigned
+ *   event that members do not follow
+ * @returns {Object} The rotation event
+ */
+export async function publishKeyRotation(sheet, keys, members, by, authorityKey = null) {
+  const schemaId = await ensureSystemSchema(sheet, KEY_ROTATION_SCHEMA_NAME, keyRotationSchema)
+
+  const writerKeys = new Set(members.filter(member => !member.revoked).map(member => member.writerKey))
+  // The creator's own grant lets its other devices follow too
+  writerKeys.add(getLocalWriterKey(sheet))
+
+  let event = {
+    time: Date.now(),
+    grants: [...writerKeys].map(writerKey => ({ writerKey, sealed: sealRoomKeys(writerKey, keys) }))
+  }
+  if (by) event.by = by
+  if (authorityKey) event = signAuthorityEvent(event, authorityKey)
+
+  await sheet.addRow(schemaId, event)
+  return event
+}
+
+/**
+ * Look for the latest rotation of this room signed by its authority
+ * @param {Buffer} roomKey - Room key, the authority public key
+ * @returns {Object|null} { rotation, keys } where keys is null if this device was not granted the new key
+ */
+export async function findKeyRotation(sheet, roomKey) {
+  const rotations = (await listKeyRotations(sheet)).filter(rotation => verifyAuthorityEvent(rotation, roomKey))
+  if (rotations.length === 0) return null
+
+  const rotation = rotations[rotations.length - 1]
+  const writerKey = getLocalWriterKey(sheet)
+  const grant = rotation.grants.find(entry => entry.writerKey === writerKey)
+
+  return {
+    rotation,
+    keys: grant ? openRoomKeys(sheet.base.local.keyPair, grant.sealed) : null
+  }
+}
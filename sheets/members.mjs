@@ -0,0 +1,228 @@
+import fs from 'fs'
+import { join } from 'path'
+import Id from 'hypercore-id-encoding'
+import { paths } from '../config/default-config.mjs'
+import { SYSTEM_SCHEMA_PREFIX, ensureSystemSchema, listSystemRows } from './system-schemas.mjs'
+import { signAuthorityEvent, verifyAuthorityEvent } from './room-authority.mjs'
+
+/**
+ * Members are tracked in a hidden system schema. Every writer records a join
+ * event with its autobase writer key when it opens the room, and the room
+ * creator records revoke and readmit events. Only events signed with the
+ * room authority count as the creator's: it signs its own joins, so its
+ * writers are never revoked, and any other member's revoke or readmit is
+ * ignored. Revocation is advisory: rows carry no writer key, so peers cannot
+ * drop what a revoked writer appends, and only an unmodified app on the
+ * revoked device opens the room read-only. Key rotation is what cuts a
+ * member off, it leaves revoked members out.
+ */
+
+const ACTIVITY_PATH = join(paths.data, 'member-activity')
+
+export const MEMBER_EVENTS_SCHEMA_NAME = `${SYSTEM_SCHEMA_PREFIX}members`
+
+export const memberEventsSchema = {
+  type: 'object',
+  required: ['type', 'writerKey', 'time'],
+  properties: {
+    type: { type: 'string', enum: ['join', 'revoke', 'readmit'] },
+    creator: { type: 'boolean' },
+    signature: { type: 'string' },
+    writerKey: { type: 'string' },
+    username: { type: 'string' },
+    keetUsername: { type: 'string' },
+    by: { type: 'string' },
+    reason: { type: 'string' },
+    time: { type: 'number' }
+  }
+}
+
+/**
+ * z32 writer key of this device in the room
+ */
+export function getLocalWriterKey(sheet) {
+  return Id.encode(sheet.base.local.key)
+}
+
+export async function listMemberEvents(sheet) {
+  const rows = await listSystemRows(sheet, MEMBER_EVENTS_SCHEMA_NAME)
+  return rows
+    .filter(row => row.json && row.json.writerKey)
+    .map(row => ({ ...row.json, eventId: row.uuid }))
+    .sort((a, b) => a.time - b.time)
+}
+
+/**
+ * @param {Buffer|null} authorityKey - Room authority secret key, to sign the event as the creator
+ */
+async function addMemberEvent(sheet, event, authorityKey = null) {
+  const schemaId = await ensureSystemSchema(sheet, MEMBER_EVENTS_SCHEMA_NAME, memberEventsSchema)
+  let entry = { ...event, time: event.time || Date.now() }
+
+  // Optional fields are omitted rather than stored as null
+  Object.keys(entry).forEach(key => {
+    if (entry[key] === undefined || entry[key] === null) delete entry[key]
+  })
+
+  if (authorityKey) entry = signAuthorityEvent(entry, authorityKey)
+
+  await sheet.addRow(schemaId, entry)
+  return entry
+}
+
+/**
+ * Fold member events into one entry per writer key. Revoke and readmit
+ * events count only when the room authority signed them, and never against
+ * a writer the authority signed a join for.
+ * @param {Array} events - Member events, oldest first
+ * @param {Buffer|null} roomKey - Room key that checks the authority's signatures,
+ *   without it every revoke and readmit is ignored
+ * @returns {Array} [{ writerKey, username, keetUsername, joinedAt, isCreator, revoked, revokedAt, revokedBy, reason }]
+ */
+export function resolveMembers(events, roomKey = null) {
+  const members = new Map()
+  const creatorWriters = new Set(events
+    .filter(event => event.type === 'join' && event.creator && verifyAuthorityEvent(event, roomKey))
+    .map(event => event.writerKey))
+
+  events.forEach(event => {
+    if ((event.type === 'revoke' || event.type === 'readmit') &&
+      (creatorWriters.has(event.writerKey) || !verifyAuthorityEvent(event, roomKey))) {
+      return
+    }
+
+    if (!members.has(event.writerKey)) {
+      members.set(event.writerKey, {
+        writerKey: event.writerKey,
+        username: null,
+        keetUsername: null,
+        joinedAt: null,
+        isCreator: creatorWriters.has(event.writerKey),
+        revoked: false,
+        revokedAt: null,
+        revokedBy: null,
+        reason: null
+      })
+    }
+    const member = members.get(event.writerKey)
+
+    if (event.type === 'join') {
+      // Keep the first join time, but follow username changes
+      if (member.joinedAt === null) member.joinedAt = event.time
+      member.username = event.username || member.username
+      member.keetUsername = event.keetUsername || member.keetUsername
+    } else if (event.type === 'revoke') {
+      member.revoked = true
+      member.revokedAt = event.time
+      member.revokedBy = event.by || null
+      member.reason = event.reason || null
+    } else if (event.type === 'readmit') {
+      member.revoked = false
+      member.revokedAt = null
+      member.revokedBy = null
+      member.reason = null
+    }
+  })
+
+  return [...members.values()].sort((a, b) => (a.joinedAt || 0) - (b.joinedAt || 0))
+}
+
+/**
+ * @param {Buffer|null} roomKey - See resolveMembers()
+ */
+export async function listMembers(sheet, roomKey = null) {
+  return resolveMembers(await listMemberEvents(sheet), roomKey)
+}
+
+/**
+ * Check whether a writer key has been revoked. Another corestore gives the
+ * same person a new writer key, which this does not catch.
+ */
+export async function isWriterRevoked(sheet, writerKey, roomKey) {
+  const member = (await listMembers(sheet, roomKey)).find(entry => entry.writerKey === writerKey)
+  return !!member && member.revoked
+}
+
+/**
+ * Record this device as a member, once per username. The creator passes the
+ * room authority so its writer is marked as the creator's.
+ */
+export async function recordMemberJoin(sheet, username, keetUsername, authorityKey = null) {
+  const writerKey = getLocalWriterKey(sheet)
+  const events = await listMemberEvents(sheet)
+  const known = events.some(event => event.type === 'join' && event.writerKey === writerKey &&
+    event.username === username && !!event.creator === !!authorityKey)
+  if (known) return null
+
+  return addMemberEvent(sheet, { type: 'join', writerKey, username, keetUsername, creator: authorityKey ? true : undefined }, authorityKey)
+}
+
+/**
+ * Revoke a writer. Only the room creator holds the authority key that makes
+ * the event count.
+ */
+export async function revokeMember(sheet, writerKey, by, reason, authorityKey) {
+  if (!authorityKey) {
+    throw new Error('Only the room creator can revoke members')
+  }
+  if (writerKey === getLocalWriterKey(sheet)) {
+    throw new Error('You cannot revoke yourself')
+  }
+  return addMemberEvent(sheet, { type: 'revoke', writerKey, by, reason }, authorityKey)
+}
+
+export async function readmitMember(sheet, writerKey, by, authorityKey) {
+  if (!authorityKey) {
+    throw new Error('Only the room creator can re-admit members')
+  }
+  return addMemberEvent(sheet, { type: 'readmit', writerKey, by }, authorityKey)
+}
+
+/**
+ * Number of blocks each writer has appended, from its autobase writer core
+ * @returns {number|null} null if the core is not available locally
+ */
+export async function getWriterLength(store, writerKey) {
+  try {
+    const core = store.get({ key: Id.decode(writerKey), active: false })
+    await core.ready()
+    const length = core.length
+    await core.close()
+    return length
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Writer cores carry no timestamps, so the last append time is when this
+ * device first saw a writer's core grow. Observations are kept per room.
+ * @param {Buffer} roomKey - Autobase key of the room
+ * @param {Object} lengths - { [writerKey]: length }
+ * @returns {Object} { [writerKey]: { length, lastAppendSeenAt } }
+ */
+export function updateWriterActivity(roomKey, lengths) {
+  const filePath = join(ACTIVITY_PATH, `${roomKey.toString('hex')}.json`)
+
+  let activity = {}
+  try {
+    activity = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    // First look at this room
+  }
+
+  const now = Date.now()
+  Object.entries(lengths).forEach(([writerKey, length]) => {
+    if (length === null) return
+    const previous = activity[writerKey]
+    if (!previous) {
+      activity[writerKey] = { length, lastAppendSeenAt: null }
+    } else if (length > previous.length) {
+      activity[writerKey] = { length, lastAppendSeenAt: now }
+    }
+  })
+
+  fs.mkdirSync(ACTIVITY_PATH, { recursive: true })
+  fs.writeFileSync(filePath, JSON.stringify(activity, null, 2))
+  return activity
+}
@@ -0,0 +1,56 @@
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import { canonicalize } from '../utils/canonical-json.mjs'
+
+/**
+ * Rows carry no writer key, so events only the room creator may write
+ * (revoking members, rotating the key) are signed instead. A room's key is
+ * the public key of an authority key pair whose secret key only the
+ * creator's lobby record holds, so anyone who can open the room can check
+ * the signature. Rooms created before this have a random key and no
+ * authority: nobody can sign for them.
+ */
+
+/**
+ * Key pair for a new room, its public key is the room key
+ * @returns {Object} { publicKey, secretKey }
+ */
+export function createRoomAuthority() {
+  return crypto.keyPair()
+}
+
+/**
+ * The authority secret key kept in a room's lobby record, if this device created the room
+ * @returns {Buffer|null}
+ */
+export function getRoomAuthority(room) {
+  return room && room.authorityKey ? b4a.from(room.authorityKey, 'hex') : null
+}
+
+function signedPayload(event) {
+  const { signature, ...payload } = event
+  return b4a.from(canonicalize(payload))
+}
+
+/**
+ * Sign an event with the room authority
+ * @returns {Object} The event with a hex `signature`
+ */
+export function signAuthorityEvent(event, authorityKey) {
+  return { ...event, signature: b4a.toString(crypto.sign(signedPayload(event), authorityKey), 'hex') }
+}
+
+/**
+ * Check that an event was signed by the authority of the room with this key
+ * @param {Object} event - Event with a hex `signature`
+ * @param {Buffer} roomKey - Room key, the authority public key
+ */
+export function verifyAuthorityEvent(event, roomKey) {
+  if (!roomKey || !event || typeof event.signature !== 'string') return false
+
+  try {
+    return crypto.verify(signedPayload(event), b4a.from(event.signature, 'hex'), roomKey)
+  } catch (error) {
+    return false
+  }
+}
@@ -0,0 +1,180 @@
+import fs from 'fs'
+import b4a from 'b4a'
+import { serializeSchema, serializeUISchema, serializeQuery, serializeAttestation } from '../utils/output.mjs'
+import { ROW_EVENTS_SCHEMA_NAME, addRowEvent } from './row-history.mjs'
+import { isSystemSchema } from './system-schemas.mjs'
+
+/**
+ * A room backup is a single JSON document holding every schema with its UI
+ * schemas, saved queries, rows and attestations. Restoring replays it into a
+ * fresh room, so rows get new UUIDs; row history events are remapped to match.
+ */
+export const BACKUP_FORMAT = 'schema-sheets-room-backup'
+export const BACKUP_VERSION = 1
+
+/**
+ * Read everything in a room into a backup archive
+ * @param {Object} sheet - Open schema sheet
+ * @param {Object} room - { petName, key } of the room being backed up
+ * @returns {Object} Backup archive
+ */
+export async function createRoomBackup(sheet, room = {}) {
+  const schemas = []
+
+  for (const schema of await sheet.listSchemas()) {
+    const uiSchemas = await sheet.listUISchemas(schema.schemaId)
+    const queries = await sheet.listQueries(schema.schemaId)
+    const rows = []
+
+    for (const row of await sheet.list(schema.schemaId, {})) {
+      const attestations = await sheet.listRowAttestations(row.uuid)
+      rows.push({
+        uuid: row.uuid,
+        time: row.time,
+        json: row.json,
+        attestations: attestations.map(serializeAttestation)
+      })
+    }
+
+    schemas.push({
+      ...serializeSchema(schema),
+      uiSchemas: uiSchemas.map(uiSchema => serializeUISchema(uiSchema, schema.schemaId)),
+      queries: queries.map(query => serializeQuery(query, schema.schemaId)),
+      rows: rows.sort((a, b) => a.time - b.time)
+    })
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: Date.now(),
+    room: {
+      petName: room.petName || null,
+      key: room.key || null
+    },
+    schemas
+  }
+}
+
+/**
+ * Count what an archive holds, for previews and reports
+ */
+export function summarizeBackup(archive) {
+  const summary = { schemas: 0, uiSchemas: 0, queries: 0, rows: 0, attestations: 0 }
+
+  archive.schemas.forEach(schema => {
+    if (isSystemSchema(schema)) return
+    summary.schemas++
+    summary.uiSchemas += schema.uiSchemas.length
+    summary.queries += schema.queries.length
+    summary.rows += schema.rows.length
+    schema.rows.forEach(row => {
+      summary.attestations += row.attestations.length
+    })
+  })
+
+  return summary
+}
+
+export function writeBackupFile(filePath, archive) {
+  fs.writeFileSync(filePath, JSON.stringify(archive, null, 2))
+}
+
+/**
+ * Load and check a backup archive
+ */
+export function readBackupFile(filePath) {
+  let archive
+  try {
+    archive = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Could not read backup: ${error.message}`)
+  }
+
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    throw new Error('File is not a schema sheets room backup')
+  }
+  if (typeof archive.version !== 'number' || archive.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version ${archive.version}, this version of schema-sheets reads up to version ${BACKUP_VERSION}`)
+  }
+  if (!Array.isArray(archive.schemas)) {
+    throw new Error('Backup has no schemas')
+  }
+
+  return archive
+}
+
+/**
+ * Replay a backup archive into an empty room
+ * @param {Object} sheet - Open schema sheet for the new room
+ * @param {Object} archive - Archive from readBackupFile()
+ * @param {Function} onProgress - Called with a status line as each schema is restored
+ * @returns {Object} Counts of what was restored, see summarizeBackup()
+ */
+export async function restoreRoomBackup(sheet, archive, onProgress = () => {}) {
+  const schemaIds = new Map()
+  const rowIds = new Map()
+  const restored = { schemas: 0, uiSchemas: 0, queries: 0, rows: 0, attestations: 0 }
+
+  // Other system schemas, like the member list, belong to the old room and are not replayed
+  const userSchemas = archive.schemas.filter(schema => !isSystemSchema(schema))
+  const eventSchemas = archive.schemas.filter(schema => schema.name === ROW_EVENTS_SCHEMA_NAME)
+
+  for (const schema of userSchemas) {
+    onProgress(`Restoring schema "${schema.name}" (${schema.rows.length} rows)`)
+
+    const schemaId = await sheet.addNewSchema(schema.name, schema.jsonSchema)
+    schemaIds.set(schema.schemaId, schemaId)
+    restored.schemas++
+
+    for (const uiSchema of schema.uiSchemas) {
+      await sheet.addUISchema(schemaId, uiSchema.name, uiSchema.uiSchema)
+      restored.uiSchemas++
+    }
+
+    for (const query of schema.queries) {
+      await sheet.addQuery(schemaId, query.name, query.query, query.listView)
+      restored.queries++
+    }
+
+    for (const row of schema.rows) {
+      const rowId = await sheet.addRow(schemaId, row.json)
+      rowIds.set(row.uuid, rowId)
+      restored.rows++
+
+      for (const attestation of row.attestations) {
+        await sheet.addRowAttestation(rowId, b4a.from(attestation.proof, 'hex'), attestation.keetUsername)
+        restored.attestations++
+      }
+    }
+  }
+
+  // Revisions and tombstones point at old UUIDs, rewrite them for the new room
+  const events = eventSchemas.flatMap(schema => schema.rows).sort((a, b) => a.time - b.time)
+  if (events.length > 0) {
+    onProgress(`Restoring row history (${events.length} events)`)
+  }
+
+  for (const { json: event } of events) {
+    if (!schemaIds.has(event.schemaId) || !rowIds.has(event.rowId)) continue
+
+    await addRowEvent(sheet, {
+      ...event,
+      schemaId: schemaIds.get(event.schemaId),
+      rowId: rowIds.get(event.rowId),
+      originalId: event.originalId && rowIds.get(event.originalId),
+      previousId: event.previousId && rowIds.get(event.previousId)
+    })
+  }
+
+  return restored
+}
+
+/**
+ * Build a file name like my-room-2024-01-31T10-15-00.backup.json
+ */
+export function getBackupFileName(petName, date = new Date()) {
+  const safeName = (petName || '').replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '') || 'room'
+  const stamp = date.toISOString().replace(/\.\d+Z$/, '').replace(/:/g, '-')
+  return `${safeName}-${stamp}.backup.json`
+}
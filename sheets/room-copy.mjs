@@ -0,0 +1,97 @@
+import { isDeepStrictEqual } from 'util'
+import { serializeUISchema, serializeQuery } from '../utils/output.mjs'
+import { userSchemas } from './system-schemas.mjs'
+import { getRowState, filterCurrentRows } from './row-history.mjs'
+
+/**
+ * Copies between open rooms append fresh rows to the target room, so they
+ * get new UUIDs and the copy time as their creation time. Signatures only
+ * cover the row JSON, so they stay valid and are copied along.
+ */
+
+/**
+ * Find the schema in the target room that rows of `schema` should go to
+ * @returns {Object|null} The matching schema, or null if the target has none with that name
+ */
+export async function findTargetSchema(targetSheet, schema) {
+  const sameName = userSchemas(await targetSheet.listSchemas()).filter(entry => entry.name === schema.name)
+  if (sameName.length === 0) return null
+
+  const match = sameName.find(entry => isDeepStrictEqual(entry.jsonSchema, schema.jsonSchema))
+  if (!match) {
+    throw new Error(`The target room already has a different schema named "${schema.name}"`)
+  }
+  return match
+}
+
+/**
+ * Copy a schema with its UI schemas and saved queries. An identical schema
+ * already in the target is reused, and only UI schemas and queries it lacks
+ * by name are added.
+ * @returns {Object} { schema, created, uiSchemas, queries } where schema is the target schema
+ */
+export async function copySchemaToRoom(sourceSheet, targetSheet, schema) {
+  let target = await findTargetSchema(targetSheet, schema)
+  const copied = { created: false, uiSchemas: 0, queries: 0 }
+
+  if (!target) {
+    const schemaId = await targetSheet.addNewSchema(schema.name, schema.jsonSchema)
+    target = { schemaId, name: schema.name, jsonSchema: schema.jsonSchema }
+    copied.created = true
+  }
+
+  const uiSchemaNames = new Set((await targetSheet.listUISchemas(target.schemaId)).map(uiSchema => uiSchema.name))
+  for (const uiSchema of (await sourceSheet.listUISchemas(schema.schemaId)).map(entry => serializeUISchema(entry, schema.schemaId))) {
+    if (uiSchemaNames.has(uiSchema.name)) continue
+    await targetSheet.addUISchema(target.schemaId, uiSchema.name, uiSchema.uiSchema)
+    copied.uiSchemas++
+  }
+
+  const queryNames = new Set((await targetSheet.listQueries(target.schemaId)).map(query => query.name))
+  for (const query of (await sourceSheet.listQueries(schema.schemaId)).map(entry => serializeQuery(entry, schema.schemaId))) {
+    if (queryNames.has(query.name)) continue
+    await targetSheet.addQuery(target.schemaId, query.name, query.query, query.listView)
+    copied.queries++
+  }
+
+  return { schema: target, ...copied }
+}
+
+/**
+ * The live rows of a schema: latest revisions, without archived or deleted rows
+ */
+export async function listLiveRows(sheet, schema) {
+  const rowState = await getRowState(sheet, schema.schemaId)
+  return filterCurrentRows(await sheet.list(schema.schemaId, {}), rowState)
+}
+
+/**
+ * Append rows and their signatures to a schema in the target room
+ * @param {Object} sourceSheet - Room the rows come from, for their signatures
+ * @param {Object} targetSheet - Room to copy into
+ * @param {Object} targetSchema - Schema in the target room
+ * @param {Array} rows - Full rows, not list view projections
+ * @param {Function} validate - (schema, json) => { valid, errors }
+ * @returns {Object} { copied, attestations, invalid: [{ uuid, errors }] }
+ */
+export async function copyRowsToRoom(sourceSheet, targetSheet, targetSchema, rows, validate) {
+  const result = { copied: 0, attestations: 0, invalid: [] }
+
+  for (const row of rows) {
+    const { valid, errors } = validate(targetSchema, row.json)
+    if (!valid) {
+      result.invalid.push({ uuid: row.uuid, errors })
+      continue
+    }
+
+    const rowId = await targetSheet.addRow(targetSchema.schemaId, row.json)
+    result.copied++
+
+    for (const attestation of await sourceSheet.listRowAttestations(row.uuid)) {
+      await targetSheet.addRowAttestation(rowId, attestation.proof, attestation.keetUsername)
+      result.attestations++
+    }
+  }
+
+  return result
+}
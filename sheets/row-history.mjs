@@ -0,0 +1,293 @@
+import Id from 'hypercore-id-encoding'
+import { SYSTEM_SCHEMA_PREFIX, ensureSystemSchema, listSystemRows } from './system-schemas.mjs'
+import { verifyRowAttestation } from '../config/signing-utils.mjs'
+
+/**
+ * Row history is recorded in a hidden system schema inside the room.
+ * Revision events link a new row back to the row it was derived from,
+ * tombstone and restore events hide or bring back a row. The rows
+ * themselves stay append-only.
+ */
+
+export const ROW_EVENTS_SCHEMA_NAME = `${SYSTEM_SCHEMA_PREFIX}row-events`
+
+export const rowEventsSchema = {
+  type: 'object',
+  required: ['type', 'schemaId', 'rowId', 'time'],
+  properties: {
+    type: { type: 'string', enum: ['revision', 'tombstone', 'restore'] },
+    action: { type: 'string', enum: ['delete', 'archive'] },
+    reason: { type: 'string' },
+    schemaId: { type: 'string' },
+    rowId: { type: 'string' },
+    originalId: { type: 'string' },
+    previousId: { type: 'string' },
+    author: { type: 'string' },
+    keetUsername: { type: 'string' },
+    time: { type: 'number' }
+  }
+}
+
+/**
+ * List row events for a schema, oldest first
+ */
+export async function listRowEvents(sheet, schemaId) {
+  const events = []
+
+  const rows = await listSystemRows(sheet, ROW_EVENTS_SCHEMA_NAME)
+  rows.forEach(row => {
+    if (row.json && row.json.schemaId === schemaId) {
+      events.push({ ...row.json, eventId: row.uuid })
+    }
+  })
+
+  return events.sort((a, b) => a.time - b.time || a.rowId.localeCompare(b.rowId))
+}
+
+/**
+ * Append a row event
+ */
+export async function addRowEvent(sheet, event) {
+  const eventSchemaId = await ensureSystemSchema(sheet, ROW_EVENTS_SCHEMA_NAME, rowEventsSchema)
+  const entry = { ...event, time: event.time || Date.now() }
+
+  // Optional fields are omitted rather than stored as null
+  Object.keys(entry).forEach(key => {
+    if (entry[key] === undefined || entry[key] === null) delete entry[key]
+  })
+
+  await sheet.addRow(eventSchemaId, entry)
+  return entry
+}
+
+/**
+ * Work out which rows are current from a list of row events
+ * @returns {Object} { originalOf, latestOf, superseded, revisionsOf, tombstones, auditOf, concurrentOf }
+ *   where concurrentOf maps a revision to the other revisions made from the same previous row
+ */
+export function resolveRowState(events) {
+  const originalOf = new Map()
+  const latestOf = new Map()
+  const revisionsOf = new Map()
+  const tombstones = new Map()
+  const auditOf = new Map()
+  const childrenOf = new Map()
+
+  events.filter(event => event.type === 'revision').forEach(event => {
+    originalOf.set(event.rowId, event.originalId)
+    if (!revisionsOf.has(event.originalId)) revisionsOf.set(event.originalId, [])
+    revisionsOf.get(event.originalId).push(event)
+    // Events are sorted by time, so the last revision seen wins
+    latestOf.set(event.originalId, event.rowId)
+
+    const previousId = event.previousId || event.originalId
+    if (!childrenOf.has(previousId)) childrenOf.set(previousId, [])
+    childrenOf.get(previousId).push(event.rowId)
+  })
+
+  // Peers editing the same revision at once each append a revision from it.
+  // Only the newest stays current, the others are superseded without a merge.
+  const concurrentOf = new Map()
+  childrenOf.forEach(children => {
+    if (children.length < 2) return
+    children.forEach(rowId => concurrentOf.set(rowId, children.filter(other => other !== rowId)))
+  })
+
+  // Tombstones apply to the original row so they cover every revision
+  events.filter(event => event.type === 'tombstone' || event.type === 'restore').forEach(event => {
+    const originalId = originalOf.get(event.rowId) || event.rowId
+    if (!auditOf.has(originalId)) auditOf.set(originalId, [])
+    auditOf.get(originalId).push(event)
+
+    if (event.type === 'tombstone') {
+      tombstones.set(originalId, event)
+    } else {
+      tombstones.delete(originalId)
+    }
+  })
+
+  const superseded = new Set()
+  revisionsOf.forEach((revisions, originalId) => {
+    const latest = latestOf.get(originalId)
+    superseded.add(originalId)
+    revisions.forEach(revision => {
+      if (revision.rowId !== latest) superseded.add(revision.rowId)
+    })
+  })
+
+  return { originalOf, latestOf, superseded, revisionsOf, tombstones, auditOf, concurrentOf }
+}
+
+/**
+ * Load the resolved row state for a schema
+ */
+export async function getRowState(sheet, schemaId) {
+  return resolveRowState(await listRowEvents(sheet, schemaId))
+}
+
+/**
+ * Get the tombstone event hiding a row, or null if the row is live
+ */
+export function getTombstone(state, rowId) {
+  return state.tombstones.get(state.originalOf.get(rowId) || rowId) || null
+}
+
+/**
+ * Drop rows that have been replaced by a newer revision, and tombstoned rows
+ * unless includeArchived is set. Included tombstoned rows carry a `tombstone`.
+ */
+export function filterCurrentRows(rows, state, options = {}) {
+  const current = []
+
+  rows.forEach(row => {
+    if (state.superseded.has(row.uuid)) return
+
+    const tombstone = getTombstone(state, row.uuid)
+    if (!tombstone) {
+      current.push(row)
+    } else if (options.includeArchived) {
+      current.push({ ...row, tombstone })
+    }
+  })
+
+  return current
+}
+
+/**
+ * Write an edited row as a new revision linked to the original row
+ * @param {Object} sheet - Open schema sheet
+ * @param {Object} schema - Schema the row belongs to
+ * @param {Object} row - The revision being edited
+ * @param {Object} rowData - The edited JSON
+ * @param {Object} author - { username, keetUsername }
+ * @returns {string} UUID of the new revision
+ */
+export async function addRowRevision(sheet, schema, row, rowData, author = {}) {
+  const state = await getRowState(sheet, schema.schemaId)
+  const originalId = state.originalOf.get(row.uuid) || row.uuid
+
+  const rowId = await sheet.addRow(schema.schemaId, rowData)
+  await addRowEvent(sheet, {
+    type: 'revision',
+    schemaId: schema.schemaId,
+    rowId,
+    originalId,
+    previousId: row.uuid,
+    author: author.username,
+    keetUsername: author.keetUsername
+  })
+
+  return rowId
+}
+
+/**
+ * The first valid signature on a row, which names who wrote it when no
+ * revision event does
+ * @returns {Promise<Object|null>} { keetUsername, identity } with a z32 identity
+ */
+async function findRowSigner(sheet, row) {
+  const attestations = await sheet.listRowAttestations(row.uuid)
+  const signed = attestations
+    .map(attestation => ({ attestation, verification: verifyRowAttestation(attestation.proof, row.json) }))
+    .filter(({ verification }) => verification.valid)
+    .sort((a, b) => a.attestation.time - b.attestation.time)
+
+  if (signed.length === 0) return null
+  return {
+    keetUsername: signed[0].attestation.keetUsername || null,
+    identity: Id.encode(signed[0].verification.identityPublicKey)
+  }
+}
+
+/**
+ * Get every revision of a row, oldest first, including the original.
+ * The author comes from the revision event, or from the first valid
+ * signature on the revision when there is no event, e.g. for the original.
+ * @returns {Array} [{ uuid, time, author, keetUsername, identity, authorSource, previousId,
+ *   concurrentWith, json, isOriginal, isCurrent }] where authorSource is 'event', 'signature' or null
+ */
+export async function getRowHistory(sheet, schema, rowId) {
+  const state = await getRowState(sheet, schema.schemaId)
+  const originalId = state.originalOf.get(rowId) || rowId
+  const latest = state.latestOf.get(originalId) || originalId
+  const revisions = state.revisionsOf.get(originalId) || []
+
+  const original = await sheet.getRow(schema.schemaId, originalId)
+  const originalSigner = original ? await findRowSigner(sheet, original) : null
+  const history = [{
+    uuid: originalId,
+    time: original ? original.time : null,
+    author: null,
+    keetUsername: originalSigner ? originalSigner.keetUsername : null,
+    identity: originalSigner ? originalSigner.identity : null,
+    authorSource: originalSigner ? 'signature' : null,
+    previousId: null,
+    concurrentWith: [],
+    json: original ? original.json : null,
+    isOriginal: true,
+    isCurrent: latest === originalId
+  }]
+
+  for (const revision of revisions) {
+    const revisionRow = await sheet.getRow(schema.schemaId, revision.rowId)
+    const hasAuthor = Boolean(revision.author || revision.keetUsername)
+    const signer = !hasAuthor && revisionRow ? await findRowSigner(sheet, revisionRow) : null
+    history.push({
+      uuid: revision.rowId,
+      time: revisionRow ? revisionRow.time : revision.time,
+      author: revision.author || null,
+      keetUsername: hasAuthor ? revision.keetUsername || null : signer ? signer.keetUsername : null,
+      identity: signer ? signer.identity : null,
+      authorSource: hasAuthor ? 'event' : signer ? 'signature' : null,
+      previousId: revision.previousId || null,
+      concurrentWith: state.concurrentOf.get(revision.rowId) || [],
+      json: revisionRow ? revisionRow.json : null,
+      isOriginal: false,
+      isCurrent: latest === revision.rowId
+    })
+  }
+
+  return history
+}
+
+/**
+ * Hide a row by writing a tombstone. The row data stays in the room so the
+ * audit trail records who removed it and when.
+ * @param {string} action - 'delete' or 'archive'
+ */
+export async function addRowTombstone(sheet, schema, row, action, author = {}, reason) {
+  const state = await getRowState(sheet, schema.schemaId)
+
+  return addRowEvent(sheet, {
+    type: 'tombstone',
+    action,
+    schemaId: schema.schemaId,
+    rowId: state.originalOf.get(row.uuid) || row.uuid,
+    author: author.username,
+    keetUsername: author.keetUsername,
+    reason
+  })
+}
+
+/**
+ * Bring an archived row back into listings
+ */
+export async function restoreRow(sheet, schema, row, author = {}) {
+  const state = await getRowState(sheet, schema.schemaId)
+
+  return addRowEvent(sheet, {
+    type: 'restore',
+    schemaId: schema.schemaId,
+    rowId: state.originalOf.get(row.uuid) || row.uuid,
+    author: author.username,
+    keetUsername: author.keetUsername
+  })
+}
+
+/**
+ * Get the tombstone and restore events for a row, oldest first
+ */
+export async function getRowAuditTrail(sheet, schema, rowId) {
+  const state = await getRowState(sheet, schema.schemaId)
+  return state.auditOf.get(state.originalOf.get(rowId) || rowId) || []
+}
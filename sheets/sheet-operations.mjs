@@ -1,13 +1,15 @@
 import chalk from 'chalk'
-import { input, confirm } from '@inquirer/prompts'
+import { input, confirm, select } from '@inquirer/prompts'
 import Ajv from 'ajv'
 import addFormats from "ajv-formats"
-import { selectJsonFile, readJsonFile, downloadJsonFromUrl } from '../utils/file-helpers.mjs'
+import { selectJsonFile, selectDelimitedFile, selectRowDataFile, readJsonFile, readJsonRecords, downloadJsonFromUrl } from '../utils/file-helpers.mjs'
+import { getImportMarkerPath, hashImportFile, readImportMarker, writeImportMarker, clearImportMarker } from '../utils/import-marker.mjs'
+import { detectDelimiter, parseDelimited, coerceCellValue, inferNumberFormat, NUMBER_FORMATS } from '../utils/csv.mjs'
 import { issueSchema } from '../examples/issue-schema.mjs'
 import { apiKeysSchema } from '../examples/apiKeys-schema.mjs'
 import fs from 'fs'
 import { tmpdir } from 'os'
-import { join } from 'path'
+import { join, basename } from 'path'
 import { spawn } from 'child_process'
 import crypto from 'crypto'
 
@@ -212,54 +214,196 @@ export class SheetOperations {
     return schemaId
   }
 
-  async addRowFromFile(sheet, schema) {
-    try {
-      const filePath = await selectJsonFile('Select JSON file:')
-      const jsonContent = readJsonFile(filePath)
-      
-      // Validate JSON against schema using AJV
-      const ajv = new Ajv({ allErrors: true })
-      addFormats(ajv)
+  /**
+   * Validate row data against a schema without prompting
+   */
+  validateRowData(schema, rowData) {
+    const validate = this.compileRowValidator(schema)
+    const valid = validate(rowData)
+    return { valid, errors: valid ? [] : validate.errors }
+  }
 
-      const validate = ajv.compile(schema.jsonSchema)
-      const valid = validate(jsonContent)
-      
-      // Show preview of JSON
-      console.log(chalk.cyan('\nJSON Preview:'))
-      console.log(JSON.stringify(jsonContent, null, 2))
-      
-      if (!valid) {
-        console.log(chalk.red('\n❌ JSON validation failed against schema!'))
-        console.log(chalk.yellow('\nValidation errors:'))
-        validate.errors.forEach((error, index) => {
-          console.log(chalk.red(`  ${index + 1}. ${error.instancePath || 'root'}: ${error.message}`))
-          if (error.params && error.params.allowedValues) {
-            console.log(chalk.cyan(`     Allowed values: ${error.params.allowedValues.join(', ')}`))
+  /**
+   * Compile a schema once for validating many rows
+   */
+  compileRowValidator(schema) {
+    const ajv = new Ajv({ allErrors: true })
+    addFormats(ajv)
+    return ajv.compile(schema.jsonSchema)
+  }
+
+  /**
+   * Import rows from a CSV/TSV file, mapping each column to a schema property.
+   * Every row is coerced and validated, only valid rows are inserted.
+   */
+  async importRowsFromCsv(sheet, schema) {
+    const filePath = await selectDelimitedFile('Select CSV or TSV file:')
+    const text = fs.readFileSync(filePath, 'utf8')
+    const delimiter = detectDelimiter(text, filePath)
+    const records = parseDelimited(text, delimiter)
+
+    if (records.length === 0) {
+      throw new Error('File contains no rows')
+    }
+
+    const hasHeader = await confirm({
+      message: `Is the first row a header? (${records[0].join(', ').substring(0, 60)})`,
+      default: true
+    })
+
+    const header = hasHeader ? records[0] : records[0].map((value, index) => `Column ${index + 1}`)
+    const dataRows = hasHeader ? records.slice(1) : records
+    const firstLine = hasHeader ? 2 : 1
+
+    if (dataRows.length === 0) {
+      throw new Error('File contains a header but no data rows')
+    }
+
+    const properties = (schema.jsonSchema && schema.jsonSchema.properties) || {}
+    const propertyNames = Object.keys(properties)
+    if (propertyNames.length === 0) {
+      throw new Error('Schema has no properties to map columns to')
+    }
+
+    console.log(chalk.cyan(`\nFound ${dataRows.length} row(s) with ${header.length} column(s)`))
+    console.log(chalk.cyan('Map each column to a schema property:\n'))
+
+    // Compare names ignoring case, spaces, dashes and underscores
+    const normalize = name => String(name).toLowerCase().replace(/[\s_-]/g, '')
+    const describeType = property => {
+      const type = Array.isArray(property.type) ? property.type.join('|') : (property.type || 'any')
+      return property.format ? `${type}, ${property.format}` : type
+    }
+
+    const mapping = []
+    for (let index = 0; index < header.length; index++) {
+      const column = header[index]
+      const sample = (dataRows[0][index] || '').substring(0, 30)
+      const mapped = mapping.filter(Boolean)
+      const guess = propertyNames.find(name => normalize(name) === normalize(column) && !mapped.includes(name))
+
+      const property = await select({
+        message: `Column "${column}" (e.g. "${sample}"):`,
+        choices: [
+          ...propertyNames.map(name => ({
+            name: `${name} (${describeType(properties[name])})${mapped.includes(name) ? chalk.yellow(' - already mapped') : ''}`,
+            value: name
+          })),
+          {
+            name: chalk.cyan('⏭️  Skip column'),
+            value: 'skip'
           }
+        ],
+        default: guess || 'skip'
+      })
+
+      mapping.push(property === 'skip' ? null : property)
+    }
+
+    const missingRequired = (schema.jsonSchema.required || []).filter(name => !mapping.includes(name))
+    if (missingRequired.length > 0) {
+      console.log(chalk.yellow(`\n⚠️ Required properties not mapped: ${missingRequired.join(', ')}`))
+    }
+
+    // Numbers are parsed with the file's separators, never by dropping the ones that do not fit
+    const isNumeric = property => {
+      const types = [property.type, property.items && property.items.type].flat()
+      return types.includes('number') || types.includes('integer')
+    }
+    let numberFormat = inferNumberFormat(delimiter)
+    if (mapping.some(property => property && isNumeric(properties[property]))) {
+      numberFormat = await select({
+        message: 'How are numbers written in this file?',
+        choices: Object.entries(NUMBER_FORMATS).map(([value, format]) => ({ name: format.name, value })),
+        default: numberFormat
+      })
+    }
+
+    // Coerce and validate every row
+    const validate = this.compileRowValidator(schema)
+    const validRows = []
+    const invalidRows = []
+
+    dataRows.forEach((fields, rowIndex) => {
+      const rowData = {}
+      const errors = []
+
+      mapping.forEach((property, columnIndex) => {
+        if (!property) return
+        const result = coerceCellValue(fields[columnIndex] || '', properties[property], { numberFormat })
+        if (result.error) {
+          errors.push({ path: `/${property}`, message: result.error })
+        } else if (!result.skip) {
+          rowData[property] = result.value
+        }
+      })
+
+      if (errors.length === 0 && !validate(rowData)) {
+        validate.errors.forEach(error => {
+          errors.push({ path: error.instancePath || 'root', message: error.message })
         })
-        console.log(chalk.cyan('\nPlease fix the JSON data and try again.'))
-        throw new Error('JSON validation failed')
       }
-      
-      console.log(chalk.green('\n✅ JSON validation passed!'))
-      
-      const confirmAdd = await input({
-        message: '\nAdd this row? (y/N):',
-        default: 'n'
-      })
 
-      if (confirmAdd.toLowerCase() !== 'y' && confirmAdd.toLowerCase() !== 'yes') {
-        throw new Error('Row addition cancelled')
+      const label = `Line ${rowIndex + firstLine}`
+      if (errors.length > 0) {
+        invalidRows.push({ label, errors })
+      } else {
+        validRows.push({ label, rowData })
       }
+    })
 
-      const rowId = await sheet.addRow(schema.schemaId, jsonContent)
-      console.log(chalk.green(`✅ Row added successfully with ID: ${rowId}`))
-      
-      return { rowId, rowData: jsonContent }
-    } catch (error) {
-      console.error(chalk.red('Error adding row:'), error.message)
-      throw error
+    this.printImportReport(validRows.length, invalidRows)
+
+    if (validRows.length === 0) {
+      throw new Error('No valid rows to import')
     }
+
+    const confirmImport = await confirm({
+      message: `Insert ${validRows.length} valid row(s)${invalidRows.length > 0 ? `, skipping ${invalidRows.length} invalid` : ''}?`,
+      default: true
+    })
+
+    if (!confirmImport) {
+      throw new Error('Import cancelled')
+    }
+
+    const rowIds = []
+    for (const { rowData } of validRows) {
+      rowIds.push(await sheet.addRow(schema.schemaId, rowData))
+      if (rowIds.length % 100 === 0) {
+        console.log(chalk.cyan(`  ${rowIds.length}/${validRows.length} rows added...`))
+      }
+    }
+
+    console.log(chalk.green(`✅ Imported ${rowIds.length} row(s)`))
+    return { rowIds, skipped: invalidRows.length }
+  }
+
+  /**
+   * Print pass/fail counts and the validation errors for each failed row
+   * @param {number} validCount - Number of rows that passed
+   * @param {Array} invalidRows - [{ label, errors: [{ path, message }] }]
+   */
+  printImportReport(validCount, invalidRows, maxRows = 50) {
+    console.log(chalk.cyan('\nImport validation report:'))
+    console.log(chalk.green(`  ✅ ${validCount} row(s) valid`))
+
+    if (invalidRows.length === 0) {
+      return
+    }
+
+    console.log(chalk.red(`  ❌ ${invalidRows.length} row(s) invalid\n`))
+    invalidRows.slice(0, maxRows).forEach(({ label, errors }) => {
+      console.log(chalk.red(`  ${label}:`))
+      errors.forEach(error => {
+        console.log(chalk.yellow(`    ${error.path}: ${error.message}`))
+      })
+    })
+
+    if (invalidRows.length > maxRows) {
+      console.log(chalk.yellow(`  ...and ${invalidRows.length - maxRows} more invalid row(s)`))
+    }
+    console.log('')
   }
 
   async editSchemaInEditor(sheet, schema) {
@@ -274,53 +418,7 @@ export class SheetOperations {
       console.log(chalk.cyan(`Opening schema in editor: ${tempFilePath}`))
       console.log(chalk.yellow('Save and close the editor when you\'re done editing...'))
       
-      // Determine the editor command based on platform and environment
-      let editorCommand
-      let editorArgs = [tempFilePath]
-      
-      if (process.env.EDITOR) {
-        // Use user's preferred editor from environment
-        editorCommand = process.env.EDITOR
-      } else if (process.platform === 'darwin') {
-        // macOS - try to use the default editor
-        editorCommand = 'open'
-        editorArgs = ['-W', '-t', tempFilePath] // -W waits for app to close, -t opens in text editor
-      } else if (process.platform === 'win32') {
-        // Windows
-        editorCommand = 'notepad'
-      } else {
-        // Linux/Unix - try common editors
-        const editors = ['code', 'nano', 'vim', 'vi', 'gedit']
-        editorCommand = editors.find(editor => {
-          try {
-            // Check if editor exists in PATH
-            require('child_process').execSync(`which ${editor}`, { stdio: 'ignore' })
-            return true
-          } catch {
-            return false
-          }
-        }) || 'vi' // fallback to vi
-      }
-      
-      // Launch editor and wait for it to close
-      await new Promise((resolve, reject) => {
-        const editorProcess = spawn(editorCommand, editorArgs, {
-          stdio: 'inherit',
-          shell: true
-        })
-        
-        editorProcess.on('close', (code) => {
-          if (code === 0) {
-            resolve()
-          } else {
-            reject(new Error(`Editor exited with code ${code}`))
-          }
-        })
-        
-        editorProcess.on('error', (error) => {
-          reject(new Error(`Failed to launch editor: ${error.message}`))
-        })
-      })
+      await this.openInEditor(tempFilePath)
       
       // Read the edited file
       let editedSchemaJson
@@ -411,6 +509,99 @@ export class SheetOperations {
     }
   }
 
+  /**
+   * Open a file in the user's editor and wait for it to close
+   */
+  async openInEditor(tempFilePath) {
+    // Determine the editor command based on platform and environment
+    let editorCommand
+    let editorArgs = [tempFilePath]
+    
+    if (process.env.EDITOR) {
+      // Use user's preferred editor from environment
+      editorCommand = process.env.EDITOR
+    } else if (process.platform === 'darwin') {
+      // macOS - try to use the default editor
+      editorCommand = 'open'
+      editorArgs = ['-W', '-t', tempFilePath] // -W waits for app to close, -t opens in text editor
+    } else if (process.platform === 'win32') {
+      // Windows
+      editorCommand = 'notepad'
+    } else {
+      // Linux/Unix - try common editors
+      const editors = ['code', 'nano', 'vim', 'vi', 'gedit']
+      editorCommand = editors.find(editor => {
+        try {
+          // Check if editor exists in PATH
+          require('child_process').execSync(`which ${editor}`, { stdio: 'ignore' })
+          return true
+        } catch {
+          return false
+        }
+      }) || 'vi' // fallback to vi
+    }
+    
+    // Launch editor and wait for it to close
+    await new Promise((resolve, reject) => {
+      const editorProcess = spawn(editorCommand, editorArgs, {
+        stdio: 'inherit',
+        shell: true
+      })
+      
+      editorProcess.on('close', (code) => {
+        if (code === 0) {
+          resolve()
+        } else {
+          reject(new Error(`Editor exited with code ${code}`))
+        }
+      })
+      
+      editorProcess.on('error', (error) => {
+        reject(new Error(`Failed to launch editor: ${error.message}`))
+      })
+    })
+  }
+
+  /**
+   * Edit a row's JSON in the user's editor and validate it against the schema
+   */
+  async editRowInEditor(schema, row) {
+    const tempFileName = `row-${row.uuid.substring(0, 16)}-${crypto.randomBytes(8).toString('hex')}.json`
+    const tempFilePath = join(tmpdir(), tempFileName)
+
+    try {
+      fs.writeFileSync(tempFilePath, JSON.stringify(row.json, null, 2), 'utf8')
+
+      console.log(chalk.cyan(`Opening row in editor: ${tempFilePath}`))
+      console.log(chalk.yellow('Save and close the editor when you\'re done editing...'))
+
+      await this.openInEditor(tempFilePath)
+
+      let editedRowJson
+      try {
+        editedRowJson = JSON.parse(fs.readFileSync(tempFilePath, 'utf8'))
+      } catch (error) {
+        return { updated: false, error: `Invalid JSON in edited file: ${error.message}` }
+      }
+
+      if (JSON.stringify(row.json) === JSON.stringify(editedRowJson)) {
+        return { updated: false, message: 'No changes detected' }
+      }
+
+      return { updated: true, data: editedRowJson }
+    } catch (error) {
+      throw new Error(`Failed to edit row: ${error.message}`)
+    } finally {
+      try {
+        if (fs.existsSync(tempFilePath)) {
+          fs.unlinkSync(tempFilePath)
+        }
+      } catch (error) {
+        console.warn(chalk.yellow(`Warning: Could not delete temporary file: ${error.message}`))
+      }
+    }
+  }
+
   /**
    * Check if schema changes might break existing data
    */
@@ -634,7 +825,11 @@ export class SheetOperations {
     this.lastJmesQuery = ''
   }
 
-  async showQuerySelection(sheet, schema) {
+  /**
+   * Pick a saved query or enter one. `canSave` is false for read-only rooms,
+   * where new queries cannot be stored.
+   */
+  async showQuerySelection(sheet, schema, { canSave = true } = {}) {
     try {
       const savedQueries = await sheet.listQueries(schema.schemaId)
       
@@ -686,7 +881,7 @@ export class SheetOperations {
 
       if (queryChoice.startsWith('separator-')) {
         // User accidentally selected separator, re-render menu
-        return this.showQuerySelection(sheet, schema)
+        return this.showQuerySelection(sheet, schema, { canSave })
       }
 
       if (queryChoice === 'none') {
@@ -722,7 +917,7 @@ export class SheetOperations {
         this.setLastJmesQuery(queryText)
 
         // Ask if user wants to save this query
-        if (queryText) {
+        if (queryText && canSave) {
           await this.saveQuery(sheet, schema, queryText)
         }
 
@@ -738,8 +933,15 @@ export class SheetOperations {
 
   async addRowFromFile(sheet, schema) {
     try {
-      const filePath = await selectJsonFile('Select JSON file:')
-      const jsonContent = readJsonFile(filePath)
+      const filePath = await selectRowDataFile('Select JSON or NDJSON file:')
+      const { records, isCollection } = readJsonRecords(filePath)
+
+      // Arrays and NDJSON files go through the bulk import
+      if (isCollection) {
+        return await this.importJsonRecords(sheet, schema, filePath, records)
+      }
+
+      const jsonContent = records[0].data
       
       // Validate JSON against schema using AJV
       const ajv = new Ajv({ allErrors: true })
@@ -785,4 +987,125 @@ export class SheetOperations {
       throw error
     }
   }
+
+  /**
+   * Bulk import many JSON records. Offers a dry run that only validates, and
+   * keeps a resume marker so a partially failed import can be continued.
+   */
+  async importJsonRecords(sheet, schema, filePath, records) {
+    if (records.length === 0) {
+      throw new Error('File contains no records')
+    }
+
+    console.log(chalk.cyan(`\nRead ${records.length} record(s) from ${basename(filePath)}`))
+
+    const markerPath = getImportMarkerPath(filePath, schema.schemaId)
+    const fileHash = hashImportFile(filePath)
+    const marker = readImportMarker(markerPath, fileHash)
+
+    let startIndex = 0
+    let imported = 0
+    if (marker && marker.nextIndex < records.length) {
+      console.log(chalk.yellow(`\nA previous import of this file stopped after ${marker.imported} row(s), at record ${marker.nextIndex + 1} of ${records.length}.`))
+      const resume = await confirm({
+        message: 'Resume from where it stopped?',
+        default: true
+      })
+
+      if (resume) {
+        startIndex = marker.nextIndex
+        imported = marker.imported
+      } else {
+        clearImportMarker(markerPath)
+      }
+    }
+
+    const mode = await select({
+      message: 'How would you like to import these records?',
+      choices: [
+        {
+          name: '🧪 Dry Run',
+          value: 'dry-run',
+          description: 'Validate every record and report, nothing is appended'
+        },
+        {
+          name: '➕ Import Valid Records',
+          value: 'import',
+          description: 'Validate every record and append the valid ones'
+        },
+        {
+          name: chalk.cyan('← Cancel'),
+          value: 'cancel'
+        }
+      ]
+    })
+
+    if (mode === 'cancel') {
+      throw new Error('Import cancelled')
+    }
+
+    // Validate everything from the resume point before anything is appended
+    const validate = this.compileRowValidator(schema)
+    const validRows = []
+    const invalidRows = []
+
+    records.slice(startIndex).forEach(({ index, label, data }) => {
+      if (validate(data)) {
+        validRows.push({ index, label, rowData: data })
+      } else {
+        invalidRows.push({
+          index,
+          label,
+          errors: validate.errors.map(error => ({ path: error.instancePath || 'root', message: error.message }))
+        })
+      }
+    })
+
+    this.printImportReport(validRows.length, invalidRows)
+
+    if (mode === 'dry-run') {
+      console.log(chalk.cyan('Dry run complete - no rows were added'))
+      return { dryRun: true, valid: validRows.length, invalid: invalidRows.length }
+    }
+
+    if (validRows.length === 0) {
+      throw new Error('No valid records to import')
+    }
+
+    const confirmImport = await confirm({
+      message: `Append ${validRows.length} valid row(s)${invalidRows.length > 0 ? `, skipping ${invalidRows.length} invalid` : ''}?`,
+      default: true
+    })
+
+    if (!confirmImport) {
+      throw new Error('Import cancelled')
+    }
+
+    const rowIds = []
+    for (const { index, label, rowData } of validRows) {
+      try {
+        rowIds.push(await sheet.addRow(schema.schemaId, rowData))
+      } catch (error) {
+        throw new Error(`Import stopped at ${label} after ${imported} row(s): ${error.message}. Run the import again to resume.`)
+      }
+
+      imported++
+      writeImportMarker(markerPath, {
+        filePath,
+        schemaId: schema.schemaId,
+        fileHash,
+        nextIndex: index + 1,
+        imported,
+        total: records.length
+      })
+
+      if (rowIds.length % 100 === 0) {
+        console.log(chalk.cyan(`  ${rowIds.length}/${validRows.length} rows added...`))
+      }
+    }
+
+    clearImportMarker(markerPath)
+    console.log(chalk.green(`✅ Imported ${rowIds.length} row(s)`))
+    return { rowIds, skipped: invalidRows.length }
+  }
 }
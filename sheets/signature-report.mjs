@@ -0,0 +1,180 @@
+import fs from 'fs'
+import { join } from 'path'
+import Id from 'hypercore-id-encoding'
+import { verifyRowAttestation } from '../config/signing-utils.mjs'
+import { loadTrustedIdentities, checkSigner } from '../config/trusted-identities.mjs'
+import { exportTable, getExportFileName } from '../utils/export.mjs'
+
+export const SIGNATURE_REPORT_FORMATS = ['json', 'csv']
+
+// Invalid signatures cannot prove who made them, so they are grouped by the claimed name
+const UNVERIFIED_IDENTITY = 'unverified'
+
+/**
+ * Verify every signature on a row
+ * @returns {Promise<Array>} [{ time, keetUsername, valid, encoding, identity, error }]
+ *   with a z32 identity for valid signatures
+ */
+export async function verifyRowSignatures(sheet, row) {
+  const attestations = await sheet.listRowAttestations(row.uuid)
+
+  return attestations.map(attestation => {
+    const verification = verifyRowAttestation(attestation.proof, row.json)
+    return {
+      time: attestation.time,
+      keetUsername: attestation.keetUsername || null,
+      valid: verification.valid,
+      encoding: verification.valid ? verification.encoding : null,
+      identity: verification.valid ? Id.encode(verification.identityPublicKey) : null,
+      error: verification.error || null
+    }
+  })
+}
+
+/**
+ * Name the signer was pinned to, and a warning when the declared username
+ * does not fit the address book
+ */
+function describeSigner(signature, trustedIdentities) {
+  if (!signature.valid) return { pinnedName: null, trustLevel: null, warning: null }
+
+  const { pinned, nameMismatch, impersonates } = checkSigner(signature.identity, signature.keetUsername, trustedIdentities)
+  let warning = null
+  if (impersonates.length > 0) {
+    warning = 'declared name is pinned to another identity'
+  } else if (nameMismatch) {
+    warning = 'declared name does not match pinned name'
+  }
+
+  return {
+    pinnedName: pinned ? pinned.name : null,
+    trustLevel: pinned ? pinned.trustLevel : null,
+    warning
+  }
+}
+
+/**
+ * A row is unsigned without signatures, invalid if any signature fails and valid otherwise
+ */
+function getRowStatus(signatures) {
+  if (signatures.length === 0) return 'unsigned'
+  return signatures.every(signature => signature.valid) ? 'valid' : 'invalid'
+}
+
+/**
+ * Verify the signatures of many rows
+ * @param {Object} sheet - Open sheet
+ * @param {Object} schema - Schema the rows belong to
+ * @param {Array} rows - Rows to check
+ * @param {Object} options - { range } label of the date range, { onProgress } called with (done, total)
+ * @returns {Promise<Object>} { schema, range, generatedAt, totals, identities, rows } where
+ *   identities lists [{ identity, pinnedName, trustLevel, keetUsernames, valid, invalid, rows }] per signer,
+ *   with the name and trust level from the trusted identities address book
+ */
+export async function buildSignatureReport(sheet, schema, rows, { range = null, onProgress = () => {} } = {}) {
+  const reportRows = []
+  const identities = new Map()
+  const trustedIdentities = loadTrustedIdentities()
+
+  const addToIdentity = (key, signature, rowId) => {
+    if (!identities.has(key)) {
+      identities.set(key, {
+        identity: signature.identity || UNVERIFIED_IDENTITY,
+        pinnedName: signature.pinnedName,
+        trustLevel: signature.trustLevel,
+        keetUsernames: [],
+        valid: 0,
+        invalid: 0,
+        rows: []
+      })
+    }
+
+    const entry = identities.get(key)
+    if (signature.keetUsername && !entry.keetUsernames.includes(signature.keetUsername)) {
+      entry.keetUsernames.push(signature.keetUsername)
+    }
+    entry[signature.valid ? 'valid' : 'invalid']++
+    if (!entry.rows.includes(rowId)) entry.rows.push(rowId)
+  }
+
+  for (const [index, row] of rows.entries()) {
+    const signatures = (await verifyRowSignatures(sheet, row))
+      .map(signature => ({ ...signature, ...describeSigner(signature, trustedIdentities) }))
+    signatures.forEach(signature => {
+      const key = signature.valid ? signature.identity : `${UNVERIFIED_IDENTITY}:${signature.keetUsername || ''}`
+      addToIdentity(key, signature, row.uuid)
+    })
+
+    reportRows.push({
+      uuid: row.uuid,
+      createdAt: new Date(row.time).toISOString(),
+      status: getRowStatus(signatures),
+      signatures: signatures.map(signature => ({ ...signature, time: new Date(signature.time).toISOString() }))
+    })
+    onProgress(index + 1, rows.length)
+  }
+
+  const count = status => reportRows.filter(row => row.status === status).length
+
+  return {
+    schema: { schemaId: schema.schemaId, name: schema.name },
+    range,
+    generatedAt: new Date().toISOString(),
+    totals: {
+      rows: reportRows.length,
+      unsigned: count('unsigned'),
+      valid: count('valid'),
+      invalid: count('invalid')
+    },
+    identities: [...identities.values()].sort((a, b) => (b.valid + b.invalid) - (a.valid + a.invalid)),
+    rows: reportRows
+  }
+}
+
+/**
+ * One line per signature, and one per unsigned row, for CSV
+ */
+export function flattenSignatureReport(report) {
+  const header = ['uuid', 'createdAt', 'rowStatus', 'signedAt', 'keetUsername', 'identity', 'pinnedName', 'trustLevel', 'signatureStatus', 'encoding', 'warning']
+  const lines = report.rows.flatMap(row => {
+    if (row.signatures.length === 0) {
+      return [[row.uuid, row.createdAt, row.status, null, null, null, null, null, null, null, null]]
+    }
+
+    return row.signatures.map(signature => [
+      row.uuid,
+      row.createdAt,
+      row.status,
+      signature.time,
+      signature.keetUsername,
+      signature.identity,
+      signature.pinnedName,
+      signature.trustLevel,
+      signature.valid ? 'valid' : 'invalid',
+      signature.encoding,
+      signature.warning
+    ])
+  })
+
+  return { header, lines }
+}
+
+/**
+ * Write a signature report to the given directory
+ * @param {Object} report - Result of buildSignatureReport()
+ * @param {Object} options - { format, directory, baseName } where format is 'json' or 'csv'
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function exportSignatureReport(report, { format, directory, baseName }) {
+  if (!SIGNATURE_REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format: ${format}`)
+  }
+
+  if (format === 'csv') {
+    return exportTable(flattenSignatureReport(report), { format, directory, baseName })
+  }
+
+  const filePath = join(directory, getExportFileName(baseName, format))
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2) + '\n')
+  return filePath
+}
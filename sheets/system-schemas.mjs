@@ -0,0 +1,50 @@
+/**
+ * Features that schema-sheets has no API for (row history, members, key
+ * rotations) keep their data in hidden system schemas inside the room, so it
+ * replicates to every peer like any other row.
+ */
+
+export const SYSTEM_SCHEMA_PREFIX = '__schema-sheets/'
+
+/**
+ * Check if a schema is used internally and should be hidden from menus
+ */
+export function isSystemSchema(schema) {
+  return !!schema && typeof schema.name === 'string' && schema.name.startsWith(SYSTEM_SCHEMA_PREFIX)
+}
+
+/**
+ * Filter system schemas out of a schema listing
+ */
+export function userSchemas(schemas) {
+  return schemas.filter(schema => !isSystemSchema(schema))
+}
+
+/**
+ * Get every schema with the given system name. Two peers can create it
+ * concurrently, so all of them are read and merged.
+ */
+export async function getSystemSchemaIds(sheet, name) {
+  const schemas = await sheet.listSchemas()
+  return schemas.filter(schema => schema.name === name).map(schema => schema.schemaId)
+}
+
+/**
+ * Get the ID of a system schema, creating it on first use
+ */
+export async function ensureSystemSchema(sheet, name, jsonSchema) {
+  const [schemaId] = await getSystemSchemaIds(sheet, name)
+  if (schemaId) return schemaId
+  return sheet.addNewSchema(name, jsonSchema)
+}
+
+/**
+ * List the rows of every schema with the given system name
+ */
+export async function listSystemRows(sheet, name) {
+  const rows = []
+  for (const schemaId of await getSystemSchemaIds(sheet, name)) {
+    rows.push(...await sheet.list(schemaId, {}))
+  }
+  return rows
+}
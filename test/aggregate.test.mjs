@@ -0,0 +1,78 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { getBucketStart, getNextBucketStart, formatBucketLabel, getRowTimestamp, getAggregateFields, aggregateRows, flattenAggregate } from '../utils/aggregate.mjs'
+
+// Buckets are in local time, so build the fixtures in local time too
+const at = (day, hour = 12) => new Date(2024, 2, day, hour).getTime()
+
+test('buckets start on the hour, day, Monday and first of the month', () => {
+  const time = new Date(2024, 2, 14, 15, 42).getTime() // a Thursday
+
+  assert.equal(getBucketStart(time, 'hour'), new Date(2024, 2, 14, 15).getTime())
+  assert.equal(getBucketStart(time, 'day'), new Date(2024, 2, 14).getTime())
+  assert.equal(getBucketStart(time, 'week'), new Date(2024, 2, 11).getTime())
+  assert.equal(getBucketStart(new Date(2024, 2, 17).getTime(), 'week'), new Date(2024, 2, 11).getTime())
+  assert.equal(getBucketStart(time, 'month'), new Date(2024, 2, 1).getTime())
+  assert.equal(getNextBucketStart(new Date(2024, 11, 1).getTime(), 'month'), new Date(2025, 0, 1).getTime())
+  assert.equal(formatBucketLabel(new Date(2024, 2, 11).getTime(), 'week'), 'Week of 2024-03-11')
+  assert.throws(() => getBucketStart(time, 'year'), /Unknown bucket size/)
+})
+
+test('rows are timed by creation time or a date property', () => {
+  const row = { time: 5, json: { due: '2024-03-01T00:00:00Z', bad: 'soon' } }
+
+  assert.equal(getRowTimestamp(row), 5)
+  assert.equal(getRowTimestamp(row, 'due'), Date.parse('2024-03-01T00:00:00Z'))
+  assert.equal(getRowTimestamp(row, 'bad'), null)
+  assert.equal(getRowTimestamp(row, 'missing'), null)
+})
+
+test('aggregate fields come from the schema and the rows', () => {
+  const schema = {
+    jsonSchema: {
+      properties: {
+        amount: { type: 'number' },
+        unused: { type: 'integer' },
+        due: { type: 'string', format: 'date' }
+      }
+    }
+  }
+  const rows = [{ json: { amount: 1, due: '2024-03-01', extra: 2 } }]
+
+  assert.deepEqual(getAggregateFields(schema, rows), { numericFields: ['amount', 'extra'], dateFields: ['due'] })
+})
+
+test('metrics are computed per bucket and empty buckets are filled', () => {
+  const rows = [
+    { time: at(1), json: { amount: 2 } },
+    { time: at(1, 18), json: { amount: 4 } },
+    { time: at(3), json: { amount: 'n/a' } },
+    { time: at(3), json: {} }
+  ]
+
+  const { buckets, skipped } = aggregateRows(rows, { bucket: 'day', fields: ['amount'] })
+  assert.equal(skipped, 0)
+  assert.deepEqual(buckets.map(entry => entry.count), [2, 0, 2])
+  assert.deepEqual(buckets[0].fields.amount, { count: 2, sum: 6, avg: 3, min: 2, max: 4 })
+  assert.equal(buckets[2].fields.amount.avg, null)
+
+  const sparse = aggregateRows(rows, { bucket: 'day', fields: ['amount'], fillEmpty: false })
+  assert.equal(sparse.buckets.length, 2)
+})
+
+test('rows without a usable timestamp are counted as skipped', () => {
+  const rows = [{ time: at(1), json: { due: 'never' } }, { time: at(1), json: { due: '2024-03-02' } }]
+  const { buckets, skipped } = aggregateRows(rows, { timeField: 'due' })
+
+  assert.equal(skipped, 1)
+  assert.equal(buckets.length, 1)
+})
+
+test('flattened output has one column per field metric', () => {
+  const { buckets } = aggregateRows([{ time: at(1), json: { amount: 1 / 3 } }], { fields: ['amount'] })
+  const { header, lines } = flattenAggregate(buckets, ['amount'], ['avg', 'max'])
+
+  assert.deepEqual(header, ['bucket', 'start', 'count', 'amount.avg', 'amount.max'])
+  assert.deepEqual(lines[0].slice(2), [1, 0.333, 0.333])
+  assert.equal(lines[0][0], '2024-03-01')
+})
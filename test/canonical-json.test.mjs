@@ -0,0 +1,29 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { canonicalize } from '../utils/canonical-json.mjs'
+
+test('object keys are sorted at every depth and whitespace is dropped', () => {
+  assert.equal(
+    canonicalize({ b: 1, a: { d: [3, { f: true, e: null }], c: 'x' } }),
+    '{"a":{"c":"x","d":[3,{"e":null,"f":true}]},"b":1}'
+  )
+})
+
+test('the same data gives the same text whatever its key order', () => {
+  assert.equal(canonicalize({ x: 1, y: [1, 2] }), canonicalize({ y: [1, 2], x: 1 }))
+})
+
+test('keys sort by UTF-16 code units', () => {
+  assert.equal(canonicalize({ 'é': 1, z: 2, Z: 3, '\u{1F600}': 4, 'ﬁ': 5 }), '{"Z":3,"z":2,"é":1,"\u{1F600}":4,"ﬁ":5}')
+})
+
+test('numbers use their shortest round-trip form', () => {
+  assert.equal(canonicalize([1.0, -0, 1e21, 0.1, 1e-7]), '[1,0,1e+21,0.1,1e-7]')
+  assert.throws(() => canonicalize(NaN), /Cannot canonicalize/)
+  assert.throws(() => canonicalize({ a: Infinity }), /Cannot canonicalize/)
+})
+
+test('undefined members are dropped like JSON.stringify does', () => {
+  assert.equal(canonicalize({ a: undefined, b: [undefined], c: new Date(0) }), '{"b":[null],"c":"1970-01-01T00:00:00.000Z"}')
+  assert.throws(() => canonicalize(undefined), /no representation/)
+})
@@ -0,0 +1,52 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { detectDelimiter, parseDelimited, inferNumberFormat, parseNumber, coerceCellValue } from '../utils/csv.mjs'
+
+test('numbers are read with the separators of their format only', () => {
+  assert.equal(parseNumber('1,234.5'), 1234.5)
+  assert.equal(parseNumber('-0.25'), -0.25)
+  assert.equal(parseNumber('1e3'), 1000)
+  assert.equal(parseNumber('1.234,5', 'comma'), 1234.5)
+  assert.equal(parseNumber('3,14', 'comma'), 3.14)
+
+  assert.ok(Number.isNaN(parseNumber('3,14')))
+  assert.ok(Number.isNaN(parseNumber('1,2,3')))
+  assert.ok(Number.isNaN(parseNumber('12,34', 'point')))
+  assert.ok(Number.isNaN(parseNumber('1.234.5', 'comma')))
+  assert.ok(Number.isNaN(parseNumber('.')))
+  assert.ok(Number.isNaN(parseNumber('12abc')))
+  assert.throws(() => parseNumber('1', 'roman'), /Unknown number format/)
+})
+
+test('semicolon files default to decimal commas', () => {
+  assert.equal(inferNumberFormat(';'), 'comma')
+  assert.equal(inferNumberFormat(','), 'point')
+  assert.equal(inferNumberFormat('\t'), 'point')
+})
+
+test('cells are coerced to the property type', () => {
+  assert.deepEqual(coerceCellValue(' 42 ', { type: 'integer' }), { value: 42 })
+  assert.deepEqual(coerceCellValue('2,5', { type: 'number' }, { numberFormat: 'comma' }), { value: 2.5 })
+  assert.match(coerceCellValue('2.5', { type: 'integer' }).error, /not an integer/)
+  assert.match(coerceCellValue('2,5', { type: 'number' }).error, /decimal point/)
+  assert.deepEqual(coerceCellValue('Yes', { type: 'boolean' }), { value: true })
+  assert.deepEqual(coerceCellValue('a;b|c', { type: 'array', items: { type: 'string' } }), { value: ['a', 'b', 'c'] })
+  assert.deepEqual(coerceCellValue('2024-03-01T10:00:00Z', { type: 'string', format: 'date' }), { value: '2024-03-01' })
+})
+
+test('empty cells are skipped unless the property allows null', () => {
+  assert.deepEqual(coerceCellValue('  ', { type: 'number' }), { skip: true })
+  assert.deepEqual(coerceCellValue('', { type: ['number', 'null'] }), { value: null })
+})
+
+test('delimited text handles quotes, CRLF and byte order marks', () => {
+  const text = '\ufeffname;note\r\n"Smith; J";"said ""hi"""\r\n\r\nDoe;x\n'
+
+  assert.equal(detectDelimiter(text), ';')
+  assert.equal(detectDelimiter('a,b', 'data.TSV'), '\t')
+  assert.deepEqual(parseDelimited(text, ';'), [
+    ['name', 'note'],
+    ['Smith; J', 'said "hi"'],
+    ['Doe', 'x']
+  ])
+})
@@ -0,0 +1,23 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import b4a from 'b4a'
+import crypto from 'hypercore-crypto'
+import Id from 'hypercore-id-encoding'
+import { sealRoomKeys, openRoomKeys } from '../sheets/key-rotation.mjs'
+
+const keys = { key: crypto.randomBytes(32), encryptionKey: crypto.randomBytes(32) }
+
+test('sealed room keys open only with the granted writer key pair', () => {
+  const member = crypto.keyPair()
+  const sealed = sealRoomKeys(Id.encode(member.publicKey), keys)
+
+  const opened = openRoomKeys(member, sealed)
+  assert.ok(b4a.equals(opened.key, keys.key))
+  assert.ok(b4a.equals(opened.encryptionKey, keys.encryptionKey))
+
+  assert.equal(openRoomKeys(crypto.keyPair(), sealed), null)
+})
+
+test('grants of the wrong length are rejected', () => {
+  assert.equal(openRoomKeys(crypto.keyPair(), 'abcd'), null)
+})
@@ -0,0 +1,80 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import { join } from 'path'
+import z32 from 'z32'
+import b4a from 'b4a'
+import crypto from 'hypercore-crypto'
+import { createLobby, parseRoomLink, getRoomRole, ROOM_LINK_VERSION } from '../lobby.mjs'
+
+const key = crypto.randomBytes(32)
+const encryptionKey = crypto.randomBytes(32)
+
+function withLobby(fn) {
+  return async () => {
+    const storagePath = fs.mkdtempSync(join(os.tmpdir(), 'schema-sheets-lobby-'))
+    try {
+      const lobby = createLobby(storagePath)
+      await lobby.init()
+      await fn(lobby)
+    } finally {
+      fs.rmSync(storagePath, { recursive: true, force: true })
+    }
+  }
+}
+
+test('room links round-trip their keys and role', () => {
+  const lobby = createLobby('/nonexistent')
+
+  for (const role of ['writer', 'viewer']) {
+    const parsed = parseRoomLink(lobby.generateRoomLink(key, encryptionKey, role))
+    assert.ok(b4a.equals(parsed.key, key))
+    assert.ok(b4a.equals(parsed.encryptionKey, encryptionKey))
+    assert.equal(parsed.role, role)
+    assert.equal(parsed.version, ROOM_LINK_VERSION)
+  }
+
+  assert.throws(() => lobby.generateRoomLink(key, encryptionKey, 'owner'), /Unknown room role/)
+})
+
+test('legacy links without a header join as writers', () => {
+  const parsed = parseRoomLink(` ${z32.encode(b4a.concat([key, encryptionKey]))}\n`)
+  assert.equal(parsed.role, 'writer')
+  assert.equal(parsed.version, 0)
+  assert.ok(b4a.equals(parsed.key, key))
+})
+
+test('malformed, future and unknown-role links are rejected', () => {
+  const link = header => z32.encode(b4a.concat([b4a.from(header), key, encryptionKey]))
+
+  assert.throws(() => parseRoomLink('not a link!'), /Invalid room link format/)
+  assert.throws(() => parseRoomLink(z32.encode(key)), /Invalid room link format/)
+  assert.throws(() => parseRoomLink(link([ROOM_LINK_VERSION + 1, 0])), /newer than this app supports/)
+  assert.throws(() => parseRoomLink(link([ROOM_LINK_VERSION, 9])), /unknown access type/)
+})
+
+test('records without a role are writers', () => {
+  assert.equal(getRoomRole({}), 'writer')
+  assert.equal(getRoomRole(null), 'writer')
+  assert.equal(getRoomRole({ role: 'viewer' }), 'viewer')
+})
+
+test('a writer link upgrades a viewer, a read-only link never downgrades a writer', withLobby(async lobby => {
+  const viewerLink = lobby.generateRoomLink(key, encryptionKey, 'viewer')
+  const writerLink = lobby.generateRoomLink(key, encryptionKey, 'writer')
+
+  assert.equal((await lobby.joinRoom(viewerLink, 'ann')).role, 'viewer')
+  assert.equal((await lobby.joinRoom(writerLink, 'ann')).role, 'writer')
+  assert.equal((await lobby.joinRoom(viewerLink, 'ann')).role, 'writer')
+  assert.equal((await lobby.listRooms()).length, 1)
+}))
+
+test('created rooms use the authority public key as room key', withLobby(async lobby => {
+  const room = await lobby.createRoom('Field Notes', 'ann')
+  const message = b4a.from('hello')
+  const signature = crypto.sign(message, b4a.from(room.authorityKey, 'hex'))
+
+  assert.ok(crypto.verify(message, signature, room.keyBuffer))
+  assert.equal(room.isCreator, true)
+}))
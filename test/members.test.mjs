@@ -0,0 +1,67 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveMembers } from '../sheets/members.mjs'
+import { createRoomAuthority, signAuthorityEvent, verifyAuthorityEvent } from '../sheets/room-authority.mjs'
+
+const authority = createRoomAuthority()
+const roomKey = authority.publicKey
+const signed = event => signAuthorityEvent(event, authority.secretKey)
+
+const creatorJoin = signed({ type: 'join', writerKey: 'creator', username: 'ann', creator: true, time: 1 })
+const aliceJoin = { type: 'join', writerKey: 'alice', username: 'alice', time: 2 }
+
+function member(members, writerKey) {
+  return members.find(entry => entry.writerKey === writerKey)
+}
+
+test('authority signatures verify only against the room key and untouched events', () => {
+  const event = signed({ type: 'revoke', writerKey: 'alice', time: 3 })
+
+  assert.equal(verifyAuthorityEvent(event, roomKey), true)
+  assert.equal(verifyAuthorityEvent({ ...event, writerKey: 'bob' }, roomKey), false)
+  assert.equal(verifyAuthorityEvent(event, createRoomAuthority().publicKey), false)
+  assert.equal(verifyAuthorityEvent({ ...event, signature: 'zz' }, roomKey), false)
+  assert.equal(verifyAuthorityEvent(event, null), false)
+})
+
+test('a revoke signed by the room authority revokes, a later signed readmit undoes it', () => {
+  const revoke = signed({ type: 'revoke', writerKey: 'alice', by: 'ann', reason: 'left', time: 3 })
+
+  const revoked = member(resolveMembers([creatorJoin, aliceJoin, revoke], roomKey), 'alice')
+  assert.equal(revoked.revoked, true)
+  assert.equal(revoked.revokedBy, 'ann')
+  assert.equal(revoked.reason, 'left')
+
+  const readmit = signed({ type: 'readmit', writerKey: 'alice', time: 4 })
+  assert.equal(member(resolveMembers([creatorJoin, aliceJoin, revoke, readmit], roomKey), 'alice').revoked, false)
+})
+
+test('unsigned revokes are ignored, as is everything without a room key', () => {
+  const revoke = { type: 'revoke', writerKey: 'alice', time: 3 }
+  assert.equal(member(resolveMembers([creatorJoin, aliceJoin, revoke], roomKey), 'alice').revoked, false)
+
+  const signedRevoke = signed(revoke)
+  const members = resolveMembers([creatorJoin, aliceJoin, signedRevoke])
+  assert.equal(member(members, 'alice').revoked, false)
+  assert.equal(member(members, 'creator').isCreator, false)
+})
+
+test('the creator is never revoked and only a signed join marks a creator', () => {
+  const revokeCreator = signed({ type: 'revoke', writerKey: 'creator', time: 3 })
+  const fakeCreator = { type: 'join', writerKey: 'mallory', username: 'mallory', creator: true, time: 4 }
+
+  const members = resolveMembers([creatorJoin, aliceJoin, revokeCreator, fakeCreator], roomKey)
+  assert.equal(member(members, 'creator').isCreator, true)
+  assert.equal(member(members, 'creator').revoked, false)
+  assert.equal(member(members, 'mallory').isCreator, false)
+  assert.deepEqual(members.map(entry => entry.writerKey), ['creator', 'alice', 'mallory'])
+})
+
+test('joins keep the first join time and follow username changes', () => {
+  const rename = { type: 'join', writerKey: 'alice', username: 'alice2', keetUsername: 'alice-keet', time: 5 }
+  const alice = member(resolveMembers([aliceJoin, rename], roomKey), 'alice')
+
+  assert.equal(alice.joinedAt, 2)
+  assert.equal(alice.username, 'alice2')
+  assert.equal(alice.keetUsername, 'alice-keet')
+})
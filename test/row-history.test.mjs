@@ -0,0 +1,62 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveRowState, getTombstone, filterCurrentRows } from '../sheets/row-history.mjs'
+
+function revision(rowId, originalId, time, previousId) {
+  return { type: 'revision', schemaId: 's', rowId, originalId, previousId, time }
+}
+
+test('the latest revision supersedes the original and earlier revisions', () => {
+  const state = resolveRowState([
+    revision('b', 'a', 1),
+    revision('c', 'a', 2, 'b')
+  ])
+
+  assert.equal(state.latestOf.get('a'), 'c')
+  assert.equal(state.originalOf.get('c'), 'a')
+  assert.deepEqual([...state.superseded].sort(), ['a', 'b'])
+  assert.equal(state.concurrentOf.size, 0)
+})
+
+test('revisions made from the same previous row are concurrent', () => {
+  const state = resolveRowState([
+    revision('b', 'a', 1),
+    revision('c', 'a', 2, 'b'),
+    revision('d', 'a', 3, 'b')
+  ])
+
+  assert.deepEqual(state.concurrentOf.get('c'), ['d'])
+  assert.deepEqual(state.concurrentOf.get('d'), ['c'])
+  assert.equal(state.concurrentOf.has('b'), false)
+  assert.equal(state.latestOf.get('a'), 'd')
+  assert.ok(state.superseded.has('c'))
+})
+
+test('a tombstone on any revision hides the original until it is restored', () => {
+  const events = [
+    revision('b', 'a', 1),
+    { type: 'tombstone', action: 'archive', schemaId: 's', rowId: 'b', time: 2 }
+  ]
+
+  const archived = resolveRowState(events)
+  assert.equal(getTombstone(archived, 'b').action, 'archive')
+  assert.equal(getTombstone(archived, 'a').action, 'archive')
+
+  const restored = resolveRowState([...events, { type: 'restore', schemaId: 's', rowId: 'a', time: 3 }])
+  assert.equal(getTombstone(restored, 'b'), null)
+  assert.equal(restored.auditOf.get('a').length, 2)
+})
+
+test('filterCurrentRows drops superseded rows and only keeps tombstoned ones when asked', () => {
+  const state = resolveRowState([
+    revision('b', 'a', 1),
+    { type: 'tombstone', action: 'delete', schemaId: 's', rowId: 'x', time: 2 }
+  ])
+  const rows = [{ uuid: 'a' }, { uuid: 'b' }, { uuid: 'x' }]
+
+  assert.deepEqual(filterCurrentRows(rows, state).map(row => row.uuid), ['b'])
+
+  const withArchived = filterCurrentRows(rows, state, { includeArchived: true })
+  assert.deepEqual(withArchived.map(row => row.uuid), ['b', 'x'])
+  assert.equal(withArchived[1].tombstone.action, 'delete')
+})
@@ -0,0 +1,218 @@
+export const BUCKET_SIZES = ['hour', 'day', 'week', 'month']
+export const METRICS = ['sum', 'avg', 'min', 'max']
+
+// Filling every empty bucket over a long span would bury the data
+const MAX_FILLED_BUCKETS = 1000
+
+function pad(value) {
+  return String(value).padStart(2, '0')
+}
+
+/**
+ * Get the start of the bucket a timestamp falls in, in local time.
+ * Weeks start on Monday to match the date filter presets.
+ */
+export function getBucketStart(time, bucket) {
+  const date = new Date(time)
+
+  switch (bucket) {
+    case 'hour':
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()).getTime()
+    case 'day':
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+    case 'week': {
+      const dayOfWeek = date.getDay()
+      const mondayOffset = dayOfWeek === 0 ? -6 : 1 - dayOfWeek
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + mondayOffset).getTime()
+    }
+    case 'month':
+      return new Date(date.getFullYear(), date.getMonth(), 1).getTime()
+    default:
+      throw new Error(`Unknown bucket size: ${bucket}`)
+  }
+}
+
+/**
+ * Get the start of the bucket after the one starting at `start`
+ */
+export function getNextBucketStart(start, bucket) {
+  const date = new Date(start)
+
+  switch (bucket) {
+    case 'hour':
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() + 1).getTime()
+    case 'day':
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime()
+    case 'week':
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7).getTime()
+    case 'month':
+      return new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime()
+    default:
+      throw new Error(`Unknown bucket size: ${bucket}`)
+  }
+}
+
+export function formatBucketLabel(start, bucket) {
+  const date = new Date(start)
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+
+  switch (bucket) {
+    case 'hour':
+      return `${day} ${pad(date.getHours())}:00`
+    case 'week':
+      return `Week of ${day}`
+    case 'month':
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`
+    default:
+      return day
+  }
+}
+
+/**
+ * Read the timestamp used for bucketing: the row creation time, or a
+ * date / date-time property of the row
+ * @returns {number|null} Milliseconds, or null if the property is missing or invalid
+ */
+export function getRowTimestamp(row, timeField = null) {
+  if (!timeField) return row.time
+
+  const value = row.json && typeof row.json === 'object' ? row.json[timeField] : undefined
+  if (typeof value !== 'string' && typeof value !== 'number') return null
+
+  const time = new Date(value).getTime()
+  return isNaN(time) ? null : time
+}
+
+/**
+ * Find numeric and date properties that can be aggregated. Uses the schema
+ * types, plus whatever the (possibly projected) rows actually contain.
+ * @returns {Object} { numericFields, dateFields }
+ */
+export function getAggregateFields(schema, rows) {
+  const properties = (schema && schema.jsonSchema && schema.jsonSchema.properties) || {}
+  const present = new Set()
+  const numeric = new Set()
+
+  rows.forEach(row => {
+    if (!row.json || typeof row.json !== 'object' || Array.isArray(row.json)) return
+    Object.entries(row.json).forEach(([key, value]) => {
+      present.add(key)
+      if (typeof value === 'number') numeric.add(key)
+    })
+  })
+
+  const numericFields = []
+  const dateFields = []
+
+  Object.entries(properties).forEach(([key, property]) => {
+    if (!present.has(key)) return
+    const types = Array.isArray(property.type) ? property.type : [property.type]
+    if (types.includes('number') || types.includes('integer')) numericFields.push(key)
+    if (property.format === 'date-time' || property.format === 'date') dateFields.push(key)
+  })
+
+  numeric.forEach(key => {
+    if (!numericFields.includes(key)) numericFields.push(key)
+  })
+
+  return { numericFields, dateFields }
+}
+
+/**
+ * Group rows into time buckets and compute metrics per bucket
+ * @param {Array} rows - Rows as returned by sheet.list()
+ * @param {Object} options - { bucket, timeField, fields, fillEmpty, from, to }
+ *   `from` / `to` widen the filled range to cover a whole date filter
+ * @returns {Object} { buckets: [{ start, label, count, fields: { [field]: { count, sum, avg, min, max } } }], skipped }
+ */
+export function aggregateRows(rows, { bucket = 'day', timeField = null, fields = [], fillEmpty = true, from = null, to = null } = {}) {
+  const byStart = new Map()
+  let skipped = 0
+
+  const createBucket = start => ({
+    start,
+    label: formatBucketLabel(start, bucket),
+    count: 0,
+    fields: Object.fromEntries(fields.map(field => [field, { count: 0, sum: 0, avg: null, min: null, max: null }]))
+  })
+
+  rows.forEach(row => {
+    const time = getRowTimestamp(row, timeField)
+    if (time === null || time === undefined) {
+      skipped++
+      return
+    }
+
+    const start = getBucketStart(time, bucket)
+    if (!byStart.has(start)) byStart.set(start, createBucket(start))
+    const entry = byStart.get(start)
+    entry.count++
+
+    fields.forEach(field => {
+      const value = row.json ? row.json[field] : undefined
+      if (typeof value !== 'number' || !Number.isFinite(value)) return
+
+      const stats = entry.fields[field]
+      stats.count++
+      stats.sum += value
+      stats.min = stats.min === null ? value : Math.min(stats.min, value)
+      stats.max = stats.max === null ? value : Math.max(stats.max, value)
+    })
+  })
+
+  byStart.forEach(entry => {
+    Object.values(entry.fields).forEach(stats => {
+      stats.avg = stats.count > 0 ? stats.sum / stats.count : null
+    })
+  })
+
+  const starts = [...byStart.keys()].sort((a, b) => a - b)
+
+  // Empty buckets make gaps in a stream visible
+  if (fillEmpty && starts.length > 0) {
+    const filled = []
+    const first = from === null ? starts[0] : Math.min(getBucketStart(from, bucket), starts[0])
+    const last = to === null ? starts[starts.length - 1] : Math.max(getBucketStart(to, bucket), starts[starts.length - 1])
+    for (let start = first; start <= last && filled.length <= MAX_FILLED_BUCKETS; start = getNextBucketStart(start, bucket)) {
+      filled.push(start)
+    }
+
+    if (filled.length <= MAX_FILLED_BUCKETS) {
+      return {
+        buckets: filled.map(start => byStart.get(start) || createBucket(start)),
+        skipped
+      }
+    }
+  }
+
+  return { buckets: starts.map(start => byStart.get(start)), skipped }
+}
+
+function roundMetric(value) {
+  if (value === null || value === undefined) return null
+  return Number.isInteger(value) ? value : Math.round(value * 1000) / 1000
+}
+
+/**
+ * Flatten aggregated buckets into a header and lines for tables and exports
+ * @returns {Object} { header, lines }
+ */
+export function flattenAggregate(buckets, fields = [], metrics = METRICS) {
+  const header = ['bucket', 'start', 'count']
+  fields.forEach(field => {
+    metrics.forEach(metric => header.push(`${field}.${metric}`))
+  })
+
+  const lines = buckets.map(entry => {
+    const line = [entry.label, new Date(entry.start).toISOString(), entry.count]
+    fields.forEach(field => {
+      metrics.forEach(metric => {
+        const stats = entry.fields[field]
+        line.push(stats && stats.count > 0 ? roundMetric(stats[metric]) : null)
+      })
+    })
+    return line
+  })
+
+  return { header, lines }
+}
@@ -0,0 +1,55 @@
+/**
+ * Canonical JSON in the style of RFC 8785 (JCS): object keys sorted by
+ * UTF-16 code units, no whitespace, strings and numbers serialized the way
+ * ECMAScript's JSON.stringify does. The same data always gives the same
+ * text, whatever order its keys arrived in.
+ */
+
+function serialize(value) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    value = value.toJSON()
+  }
+
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+    return JSON.stringify(value)
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot canonicalize ${value}, JSON has no representation for it`)
+    }
+    // Shortest round-trip form, as JCS requires, and -0 becomes 0
+    return JSON.stringify(value)
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => {
+      const serialized = serialize(item)
+      return serialized === undefined ? 'null' : serialized
+    }).join(',')}]`
+  }
+
+  if (typeof value === 'object') {
+    // Default sort compares UTF-16 code units, which is the order JCS specifies
+    const members = Object.keys(value).sort().flatMap(key => {
+      const serialized = serialize(value[key])
+      return serialized === undefined ? [] : [`${JSON.stringify(key)}:${serialized}`]
+    })
+    return `{${members.join(',')}}`
+  }
+
+  // undefined, functions and symbols are left out like JSON.stringify does
+  return undefined
+}
+
+/**
+ * @param {*} value - JSON compatible data
+ * @returns {string} Canonical JSON text
+ */
+export function canonicalize(value) {
+  const serialized = serialize(value)
+  if (serialized === undefined) {
+    throw new Error('Cannot canonicalize a value JSON has no representation for')
+  }
+  return serialized
+}
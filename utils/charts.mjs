@@ -0,0 +1,137 @@
+/**
+ * Text charts for spotting trends without leaving the terminal.
+ * Values are plain numbers, null marks a missing point.
+ */
+
+const SPARK_LEVELS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█']
+
+function formatNumber(value) {
+  if (value === null || value === undefined) return ''
+  if (Number.isInteger(value)) return String(value)
+  return String(Math.round(value * 100) / 100)
+}
+
+/**
+ * Squeeze values into at most `width` points by combining neighbours
+ * @param {Function} combine - Reduces an array of non-null numbers, e.g. sum or average
+ */
+export function resample(values, width, combine = average) {
+  if (values.length <= width) return values
+
+  const result = []
+  for (let i = 0; i < width; i++) {
+    const from = Math.floor(i * values.length / width)
+    const to = Math.floor((i + 1) * values.length / width)
+    const group = values.slice(from, to).filter(value => value !== null && value !== undefined)
+    result.push(group.length > 0 ? combine(group) : null)
+  }
+  return result
+}
+
+export function sum(values) {
+  return values.reduce((total, value) => total + value, 0)
+}
+
+export function average(values) {
+  return sum(values) / values.length
+}
+
+function range(values) {
+  const present = values.filter(value => value !== null && value !== undefined)
+  if (present.length === 0) return null
+  return { min: Math.min(...present), max: Math.max(...present) }
+}
+
+/**
+ * One line sparkline, e.g. ▁▂▅█▃
+ */
+export function renderSparkline(values, width) {
+  const points = resample(values, width, sum)
+  const bounds = range(points)
+  if (!bounds) return ''
+
+  // Counts read best against a zero baseline
+  bounds.min = Math.min(bounds.min, 0)
+  const span = bounds.max - bounds.min
+  return points.map(value => {
+    if (value === null || value === undefined) return ' '
+    const level = span === 0 ? (value > 0 ? SPARK_LEVELS.length - 1 : 0) : Math.round((value - bounds.min) / span * (SPARK_LEVELS.length - 1))
+    return SPARK_LEVELS[level]
+  }).join('')
+}
+
+/**
+ * Horizontal bar chart, one line per label
+ * @returns {string} Chart text
+ */
+export function renderBarChart(labels, values, width) {
+  const labelWidth = Math.max(...labels.map(label => label.length), 0)
+  const valueWidth = Math.max(...values.map(value => formatNumber(value).length), 1)
+  const barWidth = Math.max(10, width - labelWidth - valueWidth - 4)
+  const max = Math.max(...values.map(value => value || 0), 0)
+
+  return labels.map((label, i) => {
+    const value = values[i] || 0
+    const length = max === 0 ? 0 : Math.round(value / max * barWidth)
+    // Keep non-zero values visible even when they round down to nothing
+    const bar = length === 0 && value > 0 ? '▏' : '█'.repeat(length)
+    return `${label.padEnd(labelWidth)} │${bar} ${formatNumber(value)}`
+  }).join('\n')
+}
+
+/**
+ * Line chart plotted on a character grid with a y axis and first/last x labels
+ * @param {Array<number|null>} values - Points in time order
+ * @param {Object} options - { width, height, firstLabel, lastLabel }
+ * @returns {string} Chart text
+ */
+export function renderLineChart(values, { width = 60, height = 10, firstLabel = '', lastLabel = '' } = {}) {
+  const bounds = range(values)
+  if (!bounds) return '(no data)'
+
+  const maxLabel = formatNumber(bounds.max)
+  const minLabel = formatNumber(bounds.min)
+  const axisWidth = Math.max(maxLabel.length, minLabel.length)
+  const plotWidth = Math.max(10, width - axisWidth - 2)
+
+  const points = resample(values, plotWidth, average)
+  const columns = points.length > 1 ? plotWidth : 1
+  const step = points.length > 1 ? (columns - 1) / (points.length - 1) : 0
+  const span = bounds.max - bounds.min
+  const toRow = value => span === 0 ? Math.floor(height / 2) : Math.round((bounds.max - value) / span * (height - 1))
+
+  const grid = Array.from({ length: height }, () => Array(columns).fill(' '))
+
+  // Connect neighbouring points, missing points leave a gap in the line
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i]
+    const to = points[i + 1]
+    if (from === null || from === undefined || to === null || to === undefined) continue
+
+    const x0 = Math.round(i * step)
+    const x1 = Math.round((i + 1) * step)
+    let previousRow = toRow(from)
+    for (let x = x0 + 1; x < x1; x++) {
+      const row = toRow(from + (to - from) * (x - x0) / (x1 - x0))
+      for (let y = Math.min(previousRow, row) + 1; y < Math.max(previousRow, row); y++) grid[y][x] = '│'
+      grid[row][x] = '·'
+      previousRow = row
+    }
+  }
+
+  points.forEach((value, i) => {
+    if (value === null || value === undefined) return
+    grid[toRow(value)][Math.round(i * step)] = '●'
+  })
+
+  const lines = grid.map((cells, row) => {
+    const label = row === 0 ? maxLabel : row === height - 1 ? minLabel : ''
+    return `${label.padStart(axisWidth)} ┤${cells.join('')}`
+  })
+
+  lines.push(`${' '.repeat(axisWidth)} └${'─'.repeat(columns)}`)
+  const gap = Math.max(1, columns - firstLabel.length - lastLabel.length)
+  lines.push(`${' '.repeat(axisWidth + 2)}${firstLabel}${lastLabel && points.length > 1 ? ' '.repeat(gap) + lastLabel : ''}`)
+
+  return lines.join('\n')
+}
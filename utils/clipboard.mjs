@@ -1,9 +1,10 @@
-import toClipboard from 'to-clipboard-android'
 import chalk from 'chalk'
 import { input } from '@inquirer/prompts'
 
 export async function copyToClipboardWithFeedback(text, description = 'text') {
   try {
+    // Optional dependency, without it the text is only printed
+    const { default: toClipboard } = await import('to-clipboard-android')
     toClipboard.sync(text)
     console.log(chalk.green(`✓ ${description} copied to clipboard`))
     console.log(chalk.blue(`${description}: ${text}`))
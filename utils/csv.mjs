@@ -0,0 +1,194 @@
+/**
+ * Guess the delimiter of a CSV/TSV file from its extension and first line
+ */
+export function detectDelimiter(text, filePath = '') {
+  if (filePath.toLowerCase().endsWith('.tsv')) return '\t'
+
+  const firstLine = text.split(/\r?\n/, 1)[0] || ''
+  const tabs = (firstLine.match(/\t/g) || []).length
+  const commas = (firstLine.match(/,/g) || []).length
+  const semicolons = (firstLine.match(/;/g) || []).length
+
+  if (tabs > commas && tabs > semicolons) return '\t'
+  if (semicolons > commas) return ';'
+  return ','
+}
+
+/**
+ * Parse delimited text into an array of string arrays.
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings.
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+        }
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  // Drop blank lines
+  return records.filter(fields => fields.some(value => value.trim() !== ''))
+}
+
+/**
+ * Escape a value for a CSV cell
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+function schemaTypes(propertySchema = {}) {
+  if (Array.isArray(propertySchema.type)) return propertySchema.type
+  if (propertySchema.type) return [propertySchema.type]
+  return []
+}
+
+/**
+ * Decimal and thousands separators of numbers in a file. Spreadsheets in
+ * locales with a decimal comma write `1.234,5` and pick `;` as delimiter.
+ */
+export const NUMBER_FORMATS = {
+  point: {
+    name: 'Decimal point (1,234.5)',
+    pattern: /^[+-]?(\d{1,3}(,\d{3})+|\d*)(\.\d+)?([eE][+-]?\d+)?$/,
+    normalize: value => value.replace(/,/g, '')
+  },
+  comma: {
+    name: 'Decimal comma (1.234,5)',
+    pattern: /^[+-]?(\d{1,3}(\.\d{3})+|\d*)(,\d+)?([eE][+-]?\d+)?$/,
+    normalize: value => value.replace(/\./g, '').replace(',', '.')
+  }
+}
+
+/**
+ * Guess the number format from the delimiter, a `;` file usually has decimal commas
+ */
+export function inferNumberFormat(delimiter) {
+  return delimiter === ';' ? 'comma' : 'point'
+}
+
+/**
+ * Parse a number written with the given separators. Anything that does not
+ * fit them is rejected rather than read with separators dropped.
+ * @returns {number} The number, or NaN
+ */
+export function parseNumber(value, numberFormat = 'point') {
+  const format = NUMBER_FORMATS[numberFormat]
+  if (!format) {
+    throw new Error(`Unknown number format: ${numberFormat}`)
+  }
+  if (!format.pattern.test(value) || !/\d/.test(value)) return NaN
+  return Number(format.normalize(value))
+}
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on']
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off']
+
+/**
+ * Convert a CSV cell to the type declared by a JSON schema property
+ * @param {string} rawValue - Cell text
+ * @param {Object} propertySchema - The property's JSON schema
+ * @param {Object} options - { numberFormat } key of NUMBER_FORMATS, 'point' by default
+ * @returns {Object} { value } on success, { skip: true } for empty cells, or { error }
+ */
+export function coerceCellValue(rawValue, propertySchema = {}, options = {}) {
+  const value = rawValue.trim()
+  const types = schemaTypes(propertySchema)
+
+  if (value === '') {
+    return types.includes('null') ? { value: null } : { skip: true }
+  }
+
+  if (types.includes('integer') || types.includes('number')) {
+    const numberFormat = options.numberFormat || 'point'
+    const number = parseNumber(value, numberFormat)
+    if (Number.isNaN(number)) {
+      return { error: `"${value}" is not a number in the ${NUMBER_FORMATS[numberFormat].name.toLowerCase()} format` }
+    }
+    if (types.includes('integer') && !types.includes('number') && !Number.isInteger(number)) {
+      return { error: `"${value}" is not an integer` }
+    }
+    return { value: number }
+  }
+
+  if (types.includes('boolean')) {
+    const lower = value.toLowerCase()
+    if (TRUE_VALUES.includes(lower)) return { value: true }
+    if (FALSE_VALUES.includes(lower)) return { value: false }
+    return { error: `"${value}" is not a boolean` }
+  }
+
+  if (types.includes('array')) {
+    const itemSchema = propertySchema.items || {}
+    const items = []
+    for (const part of value.split(/[;|]/)) {
+      const item = coerceCellValue(part, itemSchema, options)
+      if (item.error) return item
+      if (!item.skip) items.push(item.value)
+    }
+    return { value: items }
+  }
+
+  if (types.includes('object')) {
+    try {
+      return { value: JSON.parse(value) }
+    } catch (error) {
+      return { error: `"${value}" is not a JSON object` }
+    }
+  }
+
+  if (propertySchema.format === 'date-time' || propertySchema.format === 'date') {
+    const date = new Date(value)
+    if (isNaN(date.getTime())) {
+      return { error: `"${value}" is not a valid date` }
+    }
+    const iso = date.toISOString()
+    return { value: propertySchema.format === 'date' ? iso.split('T')[0] : iso }
+  }
+
+  return { value }
+}
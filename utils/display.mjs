@@ -337,9 +337,18 @@ export function analyzeQueryResults(rows, queryText) {
 }
 
 /**
- * Display rows in an interactive table and allow selection
+ * Marker shown in front of archived or deleted rows
  */
-export async function displayRowsInteractively(rows, listViewQuery = null, title = 'Select a row') {
+export function rowStatusPrefix(row) {
+  if (!row.tombstone) return ''
+  return row.tombstone.action === 'delete' ? '🗑️  ' : '🗄️  '
+}
+
+/**
+ * Display rows in an interactive table and allow selection.
+ * Extra `actions` choices are listed under the rows and their value is returned as is.
+ */
+export async function displayRowsInteractively(rows, listViewQuery = null, title = 'Select a row', actions = []) {
   if (rows.length === 0) {
     return null
   }
@@ -399,7 +408,7 @@ export async function displayRowsInteractively(rows, listViewQuery = null, title
           const displayText = displayParts.join(' | ')
           const timeDisplay = new Date(row.time).toLocaleString()
           return {
-            name: `${String(index + 1).padStart(3)}. ${displayText}`,
+            name: `${String(index + 1).padStart(3)}. ${rowStatusPrefix(row)}${displayText}`,
             value: row.uuid,
             description: `Created: ${timeDisplay}`
           }
@@ -424,6 +433,9 @@ export async function displayRowsInteractively(rows, listViewQuery = null, title
     choices = createRowChoicesWithNumbers(rows)
   }
 
+  // Extra actions on the whole list go after the rows, before Back
+  choices.push(...actions)
+
   choices.push({
     name: chalk.cyan('← Back'),
     value: 'back'
@@ -450,21 +462,64 @@ export function createRowChoicesWithNumbers(rows) {
     const displaySnippet = snippet.length === availableWidth ? snippet + '...' : snippet
     const timeDisplay = new Date(row.time).toLocaleString()
     return {
-      name: `${String(index + 1).padStart(3)}. ${displaySnippet}`,
+      name: `${String(index + 1).padStart(3)}. ${rowStatusPrefix(row)}${displaySnippet}`,
       value: row.uuid,
       description: `Created: ${timeDisplay}`
     }
   })
 }
 
+/**
+ * One line summary of a row: list view values joined with | or a JSON snippet
+ */
+export function formatRowLine(row, width) {
+  const json = row.json
+  const text = json && typeof json === 'object' && !Array.isArray(json)
+    ? Object.values(json).map(value => truncateValue(typeof value === 'object' && value !== null ? JSON.stringify(value) : value, 100)).join(' | ')
+    : JSON.stringify(json)
+
+  return truncateValue(`${rowStatusPrefix(row)}${text}`, width)
+}
+
 /**
  * Show row actions menu
  */
-export async function showRowActionsMenu(row, roomName = 'Unknown') {
+export async function showRowActionsMenu(row, roomName = 'Unknown', tombstone = null, readOnly = false, canCopyToRoom = false) {
   console.clear()
   console.log(chalk.blue.bold(`📄 Row Actions - Room: ${roomName}\n`))
   console.log(chalk.cyan(`Row UUID: ${row.uuid}`))
-  console.log(chalk.cyan(`Created: ${new Date(row.time).toLocaleString()}\n`))
+  console.log(chalk.cyan(`Created: ${new Date(row.time).toLocaleString()}`))
+  if (tombstone) {
+    const label = tombstone.action === 'delete' ? '🗑️  Deleted' : '🗄️  Archived'
+    console.log(chalk.yellow(`${label} by ${tombstone.author || 'unknown'} on ${new Date(tombstone.time).toLocaleString()}`))
+    if (tombstone.reason) {
+      console.log(chalk.yellow(`Reason: ${tombstone.reason}`))
+    }
+  }
+  console.log('')
+
+  // Viewers can look but not edit, archive or delete
+  const removalChoices = []
+  if (!readOnly && !tombstone) {
+    removalChoices.push({
+      name: '🗄️  Archive Row',
+      value: 'archive',
+      description: 'Hide this row from lists, it can be restored later'
+    })
+  } else if (!readOnly && tombstone.action === 'archive') {
+    removalChoices.push({
+      name: '♻️  Restore Row',
+      value: 'restore',
+      description: 'Show this archived row in lists again'
+    })
+  }
+  if (!readOnly && (!tombstone || tombstone.action !== 'delete')) {
+    removalChoices.push({
+      name: '🗑️  Delete Row',
+      value: 'delete',
+      description: 'Remove this row from lists permanently'
+    })
+  }
 
   const choice = await select({
     message: 'What would you like to do with this row?',
@@ -474,6 +529,16 @@ export async function showRowActionsMenu(row, roomName = 'Unknown') {
         value: 'view',
         description: 'Display the complete JSON data'
       },
+      ...(readOnly ? [] : [{
+        name: '✏️  Edit Row',
+        value: 'edit',
+        description: 'Edit this row and save it as a new revision'
+      }]),
+      {
+        name: '🕘 History',
+        value: 'history',
+        description: 'List every revision of this row'
+      },
       {
         name: '🔏 Row Signatures',
         value: 'signatures',
@@ -484,6 +549,12 @@ export async function showRowActionsMenu(row, roomName = 'Unknown') {
         value: 'copy',
         description: 'Copy row JSON to clipboard'
       },
+      ...(canCopyToRoom ? [{
+        name: '📤 Copy to Another Room',
+        value: 'copy-to-room',
+        description: 'Add this row and its signatures to another open room'
+      }] : []),
+      ...removalChoices,
       {
         name: chalk.cyan('← Back to Row List'),
         value: 'back'
@@ -494,6 +565,20 @@ export async function showRowActionsMenu(row, roomName = 'Unknown') {
   return choice
 }
 
+/**
+ * Human readable size, e.g. 1.5 MB
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`
+}
+
 /**
  * Copy JSON data to clipboard
  */
@@ -0,0 +1,136 @@
+import fs from 'fs'
+import { join } from 'path'
+import writeExcelFile from 'write-excel-file/node'
+import { escapeCsvValue } from './csv.mjs'
+import { serializeRow } from './output.mjs'
+
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'xlsx']
+
+/**
+ * Work out the export columns. A list view query already names its columns,
+ * otherwise the top level properties of the rows are used in first-seen order.
+ */
+export function getExportColumns(rows, listViewColumns = null) {
+  if (listViewColumns && listViewColumns.length > 0) {
+    return listViewColumns
+  }
+
+  const columns = []
+  rows.forEach(row => {
+    if (row.json && typeof row.json === 'object' && !Array.isArray(row.json)) {
+      Object.keys(row.json).forEach(key => {
+        if (!columns.includes(key)) columns.push(key)
+      })
+    }
+  })
+
+  // Scalar or array projections have no properties to split on
+  return columns.length > 0 ? columns : ['json']
+}
+
+function flattenCell(value) {
+  if (value === undefined) return null
+  if (value !== null && typeof value === 'object') return JSON.stringify(value)
+  return value
+}
+
+/**
+ * Flatten rows into a header line plus one array of cells per row.
+ * Every row starts with its uuid and creation time so exports can be joined.
+ */
+export function flattenRows(rows, columns) {
+  const header = ['uuid', 'createdAt', ...columns]
+  const lines = rows.map(row => {
+    const isObject = row.json && typeof row.json === 'object' && !Array.isArray(row.json)
+    const cells = columns.map(column => {
+      if (column === 'json' && !isObject) return flattenCell(row.json)
+      return isObject ? flattenCell(row.json[column]) : null
+    })
+    return [row.uuid, new Date(row.time).toISOString(), ...cells]
+  })
+
+  return { header, lines }
+}
+
+function writeCsv(filePath, header, lines) {
+  const text = [header, ...lines]
+    .map(cells => cells.map(escapeCsvValue).join(','))
+    .join('\n')
+  fs.writeFileSync(filePath, text + '\n')
+}
+
+function writeNdjson(filePath, rows) {
+  const text = rows.map(row => {
+    const { attestations, ...record } = serializeRow(row)
+    return JSON.stringify(record)
+  }).join('\n')
+  fs.writeFileSync(filePath, text + '\n')
+}
+
+async function writeXlsx(filePath, header, lines) {
+  await writeExcelFile([header, ...lines]).toFile(filePath)
+}
+
+/**
+ * Build a file name like issues-2024-01-31T10-15-00.csv
+ */
+export function getExportFileName(baseName, format, date = new Date()) {
+  const safeName = baseName.replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '') || 'rows'
+  const stamp = date.toISOString().replace(/\.\d+Z$/, '').replace(/:/g, '-')
+  return `${safeName}-${stamp}.${format}`
+}
+
+/**
+ * Write rows to a file in the given directory
+ * @param {Array} rows - Rows as returned by sheet.list()
+ * @param {Object} options - { format, directory, baseName, columns }
+ * @returns {string} Path of the written file
+ */
+export async function exportRows(rows, { format, directory, baseName, columns = null }) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format: ${format}`)
+  }
+
+  const filePath = join(directory, getExportFileName(baseName, format))
+  const exportColumns = getExportColumns(rows, columns)
+
+  if (format === 'ndjson') {
+    writeNdjson(filePath, rows)
+    return filePath
+  }
+
+  const { header, lines } = flattenRows(rows, exportColumns)
+  if (format === 'csv') {
+    writeCsv(filePath, header, lines)
+  } else {
+    await writeXlsx(filePath, header, lines)
+  }
+
+  return filePath
+}
+
+/**
+ * Write an already flattened table, such as an aggregation report.
+ * NDJSON lines are objects keyed by the header.
+ * @param {Object} table - { header, lines }
+ * @param {Object} options - { format, directory, baseName }
+ * @returns {string} Path of the written file
+ */
+export async function exportTable({ header, lines }, { format, directory, baseName }) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format: ${format}`)
+  }
+
+  const filePath = join(directory, getExportFileName(baseName, format))
+
+  if (format === 'csv') {
+    writeCsv(filePath, header, lines)
+  } else if (format === 'ndjson') {
+    const text = lines.map(line => JSON.stringify(Object.fromEntries(header.map((key, i) => [key, line[i]])))).join('\n')
+    fs.writeFileSync(filePath, text + '\n')
+  } else {
+    await writeXlsx(filePath, header, lines)
+  }
+
+  return filePath
+}
@@ -13,11 +13,11 @@ export function setLastUsedDirectory(directory) {
   lastUsedDirectory = directory
 }
 
-export async function selectJsonFile(message = 'Select JSON file:') {
+async function selectFileMatching(message, pattern) {
   const filePath = await fileSelector({
     message,
     type: 'file',
-    filter: item => item.isDirectory || item.name.endsWith('.json'),
+    filter: item => item.isDirectory || pattern.test(item.name),
     ...(lastUsedDirectory && { basePath: lastUsedDirectory })
   })
 
@@ -26,10 +26,85 @@ export async function selectJsonFile(message = 'Select JSON file:') {
   return filePath
 }
 
+export async function selectJsonFile(message = 'Select JSON file:') {
+  return selectFileMatching(message, /\.json$/)
+}
+
+export async function selectRowDataFile(message = 'Select JSON or NDJSON file:') {
+  return selectFileMatching(message, /\.(json|ndjson|jsonl)$/i)
+}
+
+export async function selectDirectory(message = 'Select a directory:') {
+  const directory = await fileSelector({
+    message,
+    type: 'directory',
+    ...(lastUsedDirectory && { basePath: lastUsedDirectory })
+  })
+
+  lastUsedDirectory = directory
+  return directory
+}
+
+export async function selectDelimitedFile(message = 'Select CSV or TSV file:') {
+  return selectFileMatching(message, /\.(csv|tsv|txt)$/i)
+}
+
 export function readJsonFile(filePath) {
   return JSON.parse(fs.readFileSync(filePath, 'utf8'))
 }
 
+const EXPORTED_ROW_KEYS = ['uuid', 'time', 'createdAt', 'json', 'attestations', 'tombstone']
+
+/**
+ * Rows exported as NDJSON, or listed with `rows list -o json|ndjson`, are
+ * wrapped in { uuid, time, createdAt, json }. Importing one adds its row data.
+ */
+function unwrapExportedRow(data) {
+  const isExportedRow = data !== null && typeof data === 'object' && !Array.isArray(data) &&
+    typeof data.uuid === 'string' && typeof data.time === 'number' && 'json' in data &&
+    Object.keys(data).every(key => EXPORTED_ROW_KEYS.includes(key))
+  return isExportedRow ? data.json : data
+}
+
+/**
+ * Read row records from a JSON object, a JSON array or a newline-delimited JSON file
+ * @returns {Object} { records: [{ index, label, data }], isCollection }
+ */
+export function readJsonRecords(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8')
+  const isNdjson = /\.(ndjson|jsonl)$/i.test(filePath)
+
+  if (!isNdjson) {
+    try {
+      const parsed = JSON.parse(content)
+      if (Array.isArray(parsed)) {
+        return {
+          records: parsed.map((data, index) => ({ index, label: `Record ${index + 1}`, data: unwrapExportedRow(data) })),
+          isCollection: true
+        }
+      }
+      return { records: [{ index: 0, label: 'Record 1', data: unwrapExportedRow(parsed) }], isCollection: false }
+    } catch (error) {
+      // A .json file holding one object per line is treated as NDJSON
+      if (!content.trim().includes('\n')) {
+        throw error
+      }
+    }
+  }
+
+  const records = []
+  content.split(/\r?\n/).forEach((line, lineIndex) => {
+    if (!line.trim()) return
+    try {
+      records.push({ index: records.length, label: `Line ${lineIndex + 1}`, data: unwrapExportedRow(JSON.parse(line)) })
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineIndex + 1}: ${error.message}`)
+    }
+  })
+
+  return { records, isCollection: true }
+}
+
 export async function downloadJsonFromUrl(url) {
   const response = await fetch(url)
   if (!response.ok) {
@@ -0,0 +1,46 @@
+import fs from 'fs'
+import crypto from 'crypto'
+import { join, resolve } from 'path'
+import { paths } from '../config/default-config.mjs'
+
+const IMPORTS_PATH = join(paths.data, 'imports')
+
+/**
+ * Resume markers record how far a bulk import got, so a partially failed
+ * import can continue where it stopped. A marker is tied to the file
+ * contents and the target schema; editing the file invalidates it.
+ */
+export function getImportMarkerPath(filePath, schemaId) {
+  const id = crypto.createHash('sha256').update(`${resolve(filePath)}\n${schemaId}`).digest('hex')
+  return join(IMPORTS_PATH, `${id.substring(0, 32)}.json`)
+}
+
+export function hashImportFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+}
+
+/**
+ * Load a marker if it matches the current file contents
+ * @returns {Object|null} { filePath, schemaId, fileHash, nextIndex, imported, total, updatedAt }
+ */
+export function readImportMarker(markerPath, fileHash) {
+  try {
+    const marker = JSON.parse(fs.readFileSync(markerPath, 'utf8'))
+    return marker.fileHash === fileHash ? marker : null
+  } catch (error) {
+    return null
+  }
+}
+
+export function writeImportMarker(markerPath, marker) {
+  fs.mkdirSync(IMPORTS_PATH, { recursive: true })
+  fs.writeFileSync(markerPath, JSON.stringify({ ...marker, updatedAt: Date.now() }, null, 2))
+}
+
+export function clearImportMarker(markerPath) {
+  try {
+    fs.unlinkSync(markerPath)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+}
@@ -0,0 +1,94 @@
+import Id from 'hypercore-id-encoding'
+import b4a from 'b4a'
+
+const PROBE_TIMEOUT = 10 * 1000
+
+/**
+ * Describe the peers the swarm is connected to
+ * @returns {Array} [{ publicKey, initiator }] with z32 public keys
+ */
+export function getPeers(swarm) {
+  return [...swarm.connections].map(connection => ({
+    publicKey: Id.encode(connection.remotePublicKey),
+    initiator: !!connection.isInitiator
+  }))
+}
+
+/**
+ * Try to open a direct connection to a peer, then drop it again
+ * @returns {Promise<boolean>} True if the connection opened before the timeout
+ */
+async function probePeer(dht, publicKey, timeout) {
+  const socket = dht.connect(publicKey)
+  socket.on('error', () => {})
+
+  let timer = null
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), timeout)
+  })
+
+  try {
+    return await Promise.race([socket.opened, timedOut])
+  } finally {
+    clearTimeout(timer)
+    socket.destroy()
+  }
+}
+
+/**
+ * Check the configured blind peers. Ones blind-peering is already connected
+ * to are reported as such, the rest are probed over the DHT.
+ * @param {Object} blind - BlindPeering instance
+ * @param {Object} swarm - Hyperswarm instance
+ * @returns {Promise<Array>} [{ key, reachable, connected }]
+ */
+export async function getBlindPeerStatus(blind, swarm, { timeout = PROBE_TIMEOUT } = {}) {
+  return Promise.all(blind.autobaseMirrors.map(async mirrorKey => {
+    const ref = blind.blindPeersByKey.get(b4a.toString(mirrorKey, 'hex'))
+    const connected = !!(ref && ref.peer.connected)
+    const reachable = connected || await probePeer(swarm.dht, mirrorKey, timeout).catch(() => false)
+
+    return { key: Id.encode(mirrorKey), reachable, connected }
+  }))
+}
+
+/**
+ * Compare how much of each writer's core this device has with what its
+ * peers have announced
+ * @param {Object} store - Corestore the room was opened from
+ * @param {Array} writerKeys - z32 writer keys
+ * @returns {Promise<Array>} [{ writerKey, localLength, remoteLength, peers }]
+ *   where remoteLength is null if no connected peer has the core
+ */
+export async function getWriterSyncStatus(store, writerKeys) {
+  const status = []
+
+  for (const writerKey of writerKeys) {
+    const core = store.get({ key: Id.decode(writerKey), active: false })
+    try {
+      await core.ready()
+      const remoteLengths = core.peers.map(peer => peer.remoteLength)
+      status.push({
+        writerKey,
+        localLength: core.contiguousLength,
+        remoteLength: remoteLengths.length > 0 ? Math.max(...remoteLengths) : null,
+        peers: core.peers.length
+      })
+    } catch (error) {
+      status.push({ writerKey, localLength: null, remoteLength: null, peers: 0 })
+    } finally {
+      await core.close().catch(() => {})
+    }
+  }
+
+  return status
+}
+
+/**
+ * Fully synced means at least one peer is connected and no peer has
+ * announced writer data this device is still missing
+ */
+export function isFullySynced(writers, peerCount) {
+  if (peerCount === 0) return false
+  return writers.every(writer => writer.remoteLength === null || (writer.localLength !== null && writer.localLength >= writer.remoteLength))
+}
@@ -0,0 +1,138 @@
+import Table from 'cli-table3'
+import b4a from 'b4a'
+import { getAvailableWidth, truncateValue } from './display.mjs'
+import { escapeCsvValue } from './csv.mjs'
+
+export const OUTPUT_FORMATS = ['json', 'ndjson', 'table', 'csv']
+
+/**
+ * Stable document shapes for everything a listing can emit. Field names
+ * here are part of the scripting interface, so only ever add to them.
+ */
+export function serializeRow(row, attestations = []) {
+  return {
+    uuid: row.uuid,
+    time: row.time,
+    createdAt: new Date(row.time).toISOString(),
+    json: row.json,
+    attestations: attestations.map(serializeAttestation),
+    ...(row.tombstone && {
+      tombstone: {
+        action: row.tombstone.action,
+        author: row.tombstone.author || null,
+        time: row.tombstone.time,
+        reason: row.tombstone.reason || null
+      }
+    })
+  }
+}
+
+export function serializeAttestation(attestation) {
+  return {
+    keetUsername: attestation.keetUsername || null,
+    time: attestation.time,
+    proof: b4a.isBuffer(attestation.proof) ? b4a.toString(attestation.proof, 'hex') : attestation.proof
+  }
+}
+
+export function serializeSchema(schema) {
+  return {
+    schemaId: schema.schemaId,
+    name: schema.name,
+    jsonSchema: schema.jsonSchema
+  }
+}
+
+export function serializeUISchema(uiSchema, schemaId) {
+  return {
+    uischemaId: uiSchema.uischemaId,
+    schemaId: uiSchema.schemaId || schemaId,
+    name: uiSchema.name,
+    uiSchema: uiSchema.uiSchema
+  }
+}
+
+export function serializeQuery(query, schemaId) {
+  return {
+    queryId: query.queryId,
+    schemaId: query.schemaId || schemaId,
+    name: query.name,
+    query: query.JMESPathQuery,
+    listView: !!query.listView
+  }
+}
+
+export function serializeRoom(room) {
+  return {
+    key: room.key,
+    petName: room.petName,
+    username: room.username,
+    isCreator: !!room.isCreator,
+    createdAt: room.createdAt,
+    role: room.role === 'viewer' ? 'viewer' : 'writer'
+  }
+}
+
+/**
+ * Flat columns used by the table and csv formats for each document kind
+ */
+export const OUTPUT_COLUMNS = {
+  row: ['uuid', 'createdAt', 'json', 'attestations'],
+  schema: ['schemaId', 'name'],
+  uiSchema: ['uischemaId', 'schemaId', 'name'],
+  query: ['queryId', 'schemaId', 'name', 'query', 'listView'],
+  room: ['key', 'petName', 'username', 'isCreator', 'createdAt', 'role'],
+  addedRow: ['uuid', 'schemaId', 'signed']
+}
+
+function flattenValue(column, value) {
+  if (column === 'attestations' && Array.isArray(value)) {
+    return value.length
+  }
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value)
+  }
+  return value
+}
+
+/**
+ * Render records in the requested format
+ * @param {Array<Object>} records - Serialized documents
+ * @param {Array<string>} columns - Columns for table/csv output
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} Text ready to write to stdout
+ */
+export function formatOutput(records, columns, format = 'json') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(records, null, 2) + '\n'
+    case 'ndjson':
+      return records.map(record => JSON.stringify(record) + '\n').join('')
+    case 'csv': {
+      const lines = [columns.map(escapeCsvValue).join(',')]
+      records.forEach(record => {
+        lines.push(columns.map(column => escapeCsvValue(flattenValue(column, record[column]))).join(','))
+      })
+      return lines.join('\n') + '\n'
+    }
+    case 'table': {
+      const maxColumnWidth = Math.max(12, Math.floor(getAvailableWidth(0) / Math.max(columns.length, 1)) - 3)
+      const table = new Table({ head: columns })
+      records.forEach(record => {
+        table.push(columns.map(column => truncateValue(flattenValue(column, record[column]), maxColumnWidth)))
+      })
+      return table.toString() + '\n'
+    }
+    default:
+      throw new Error(`Unknown output format: ${format}`)
+  }
+}
+
+/**
+ * Write records of one document kind to stdout. Commands write their
+ * results only through here and send diagnostics to stderr, so stdout
+ * stays parseable.
+ */
+export function writeOutput(kind, records, format = 'json') {
+  process.stdout.write(formatOutput(records, OUTPUT_COLUMNS[kind], format))
+}
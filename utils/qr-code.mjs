@@ -0,0 +1,59 @@
+import QRCode from 'qrcode'
+
+export const QR_FILE_FORMATS = ['png', 'svg']
+
+// Scanners need a light border around the code to find it
+const QUIET_ZONE = 2
+
+/**
+ * Render text as a QR code with Unicode half blocks, two module rows per line
+ * @param {string} text - Text to encode, e.g. a room link
+ * @param {Object} options - { invert } draws dark modules instead of light ones,
+ *   for terminals with a light background
+ * @returns {string} Multi-line QR code
+ */
+export function renderQrCode(text, { invert = false } = {}) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' })
+  const size = modules.size
+  const start = -QUIET_ZONE
+  const end = size + QUIET_ZONE
+
+  // Terminals are usually dark, so light modules and the quiet zone are drawn by default
+  const isFilled = (row, col) => {
+    if (row < start || row >= end) return false
+    const dark = row >= 0 && col >= 0 && row < size && col < size && modules.get(row, col) === 1
+    return dark === invert
+  }
+
+  const lines = []
+  for (let row = start; row < end; row += 2) {
+    let line = ''
+    for (let col = start; col < end; col++) {
+      const top = isFilled(row, col)
+      const bottom = isFilled(row + 1, col)
+      line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' '
+    }
+    lines.push(line)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Save text as a QR code image
+ * @param {string} filePath - Output path
+ * @param {string} text - Text to encode
+ * @param {string} format - 'png' or 'svg'
+ */
+export async function saveQrCode(filePath, text, format) {
+  if (!QR_FILE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported QR code format: ${format}`)
+  }
+
+  await QRCode.toFile(filePath, text, {
+    type: format,
+    errorCorrectionLevel: 'M',
+    margin: 4,
+    width: 512
+  })
+}
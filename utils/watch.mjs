@@ -0,0 +1,61 @@
+import readline from 'readline'
+
+/**
+ * Call `onChange` whenever the room's autobase view updates, for example
+ * when a peer appends a row. Calls are serialised: updates that arrive
+ * while `onChange` is running are folded into one follow-up call.
+ * @returns {Function} Stops watching
+ */
+export function watchSheet(sheet, onChange) {
+  let running = false
+  let pending = false
+  let stopped = false
+
+  const run = async () => {
+    if (stopped) return
+    if (running) {
+      pending = true
+      return
+    }
+
+    running = true
+    try {
+      await onChange()
+    } finally {
+      running = false
+    }
+
+    if (pending) {
+      pending = false
+      run()
+    }
+  }
+
+  sheet.base.on('update', run)
+
+  return () => {
+    stopped = true
+    sheet.base.off('update', run)
+  }
+}
+
+/**
+ * Resolve on the next keypress. Ctrl+C is treated like any other key so the
+ * caller decides what leaving means.
+ */
+export function waitForKeypress() {
+  return new Promise(resolve => {
+    const stdin = process.stdin
+    const wasRaw = stdin.isRaw
+
+    readline.emitKeypressEvents(stdin)
+    if (stdin.isTTY) stdin.setRawMode(true)
+    stdin.resume()
+
+    stdin.once('keypress', (str, key) => {
+      if (stdin.isTTY) stdin.setRawMode(wasRaw)
+      stdin.pause()
+      resolve(key)
+    })
+  })
+}
@@ -10,6 +10,7 @@ function App() {
     const [success, setSuccess] = useState(false);
     const [sessionId, setSessionId] = useState(null);
     const [schemaId, setSchemaId] = useState(null);
+    const [formData, setFormData] = useState(undefined);
 
     useEffect(() => {
         // Get URL parameters
@@ -29,9 +30,10 @@ function App() {
         // Fetch both schema and UI schema
         Promise.all([
             fetch(`/api/schema/${schema}?session=${session}`),
-            fetch(`/api/uischema/${schema}?session=${session}`)
+            fetch(`/api/uischema/${schema}?session=${session}`),
+            fetch(`/api/formdata/${schema}?session=${session}`)
         ])
-        .then(async ([schemaResponse, uiSchemaResponse]) => {
+        .then(async ([schemaResponse, uiSchemaResponse, formDataResponse]) => {
             if (!schemaResponse.ok) {
                 throw new Error('Failed to load schema');
             }
@@ -44,6 +46,12 @@ function App() {
                 const uiSchemaData = await uiSchemaResponse.json();
                 setUiSchema(uiSchemaData);
             }
+
+            // Existing data is only present when editing a row
+            if (formDataResponse.ok) {
+                const existingData = await formDataResponse.json();
+                setFormData(existingData);
+            }
             
             setLoading(false);
         })
@@ -114,14 +122,15 @@ function App() {
 
     return React.createElement('div', { className: 'container' },
         React.createElement('div', { className: 'header' },
-            React.createElement('h1', null, 'Add New Row'),
-            React.createElement('p', null, 'Fill out the form below based on the schema')
+            React.createElement('h1', null, formData ? 'Edit Row' : 'Add New Row'),
+            React.createElement('p', null, formData ? 'Saving creates a new revision of this row' : 'Fill out the form below based on the schema')
         ),
         error && React.createElement('div', { className: 'alert alert-danger' }, error),
         schema && React.createElement('div', null,
             React.createElement(Form, {
                 schema: schema,
                 ...(uiSchema && { uiSchema: uiSchema }),
+                ...(formData && { formData: formData }),
                 onSubmit: handleSubmit,
                 disabled: submitting
             }),
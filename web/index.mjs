@@ -72,6 +72,9 @@ export class WebFormServer {
       } else if (pathname.startsWith('/api/uischema/')) {
         const schemaId = pathname.split('/')[3]
         await this.handleUISchemaRequest(res, schemaId, query.session)
+      } else if (pathname.startsWith('/api/formdata/')) {
+        const schemaId = pathname.split('/')[3]
+        await this.handleFormDataRequest(res, schemaId, query.session)
       } else if (pathname === '/api/submit') {
         await this.handleSubmit(req, res)
       } else if (pathname === '/api/close') {
@@ -156,6 +159,24 @@ export class WebFormServer {
     }
   }
 
+  async handleFormDataRequest(res, schemaId, sessionId) {
+    const sessionData = this.sessions.get(sessionId)
+    if (!sessionData || sessionData.schemaId !== schemaId) {
+      res.writeHead(404)
+      res.end(JSON.stringify({ error: 'Session not found' }))
+      return
+    }
+
+    if (!sessionData.formData) {
+      res.writeHead(404)
+      res.end(JSON.stringify({ error: 'No existing data for session' }))
+      return
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(sessionData.formData))
+  }
+
   async handleSubmit(req, res) {
     let body = ''
     req.on('data', chunk => {
@@ -215,13 +236,15 @@ export class WebFormServer {
   }
 
   // Method to create a session and wait for form completion
-  async createFormSession(schemaId, schema, sheet = null) {
+  // Pass formData to pre-fill the form when editing an existing row
+  async createFormSession(schemaId, schema, sheet = null, formData = null) {
     const sessionId = crypto.randomUUID()
     
     this.sessions.set(sessionId, {
       schemaId,
       schema,
       sheet,
+      formData,
       createdAt: Date.now()
     })
 